@@ -1,29 +1,67 @@
 // Updated App.js - Enhanced error handling and improved audio service integration
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import AudioPlayer from './components/AudioPlayer';
 import ExplanationDisplay from './components/ExplanationDisplay';
-import AudioUploader from './components/AudioUploader';
+import AudioImporter from './components/AudioImporter';
 import AuthWrapper from './components/AuthWrapper';
 import ErrorBoundary from './components/ErrorBoundary';
-import { initializeAudio, stopRecording, getCurrentPlaybackTime, setCurrentPlaybackTime, getDebugInfo } from './services/audioService';
+import { initializeAudio, pauseAudio, seekAudio, releaseAudio, duckAudio, unduckAudio, setAudioPreset as setServiceAudioPreset, stopRecording, captureRange, setLoop as setServiceLoop, getLoop, getCurrentPlaybackTime, setCurrentPlaybackTime, getDebugInfo, clampExplainWindow, DEFAULT_EXPLAIN_WINDOW_SECONDS, clampPlaybackRate, setPlaybackRate as setServicePlaybackRate } from './services/audioService';
 import { processAudioAndGetExplanation } from './services/apiService';
+import { AUDIO_PRESETS, DEFAULT_AUDIO_PRESET } from './services/audioEffects';
+import { loadControlSettings, saveControlSettings } from './services/controlSettings';
+import { getSetting, setSetting, getBookSetting, setBookSetting } from './services/settingsService';
+import { getChapterTitle } from './services/audioBook';
+import { computeWaveform } from './services/waveform';
+import { listBooks, saveBook, loadBook as loadLibraryBook, removeBook } from './services/libraryService';
+import { savePosition, getResumePosition, POSITION_SAVE_INTERVAL_MS } from './services/resumePosition';
+import { getBookmarks, addBookmark, updateBookmark, removeBookmark, getBookmarkWindow } from './services/bookmarks';
+import { addExplanation, listExplanations } from './services/explanationHistory';
 import './App.css';
 import AudioDebugger from './components/AudioDebugger';
+import SettingsPanel from './components/SettingsPanel';
+import LibraryView from './components/LibraryView';
+import ExplanationHistory from './components/ExplanationHistory';
+import NotesExporter from './components/NotesExporter';
+
+// Oldest explain markers are dropped beyond this many per book
+const MAX_EXPLAIN_MARKERS = 200;
 
 function App() {
   console.log('[App.js] Initializing App component with enhanced error handling');
   
-  const [audioFile, setAudioFile] = useState(null);
+  const [audioBook, setAudioBook] = useState(null);
   const [fileName, setFileName] = useState('');
   const [isPlaying, setIsPlaying] = useState(false);
   const [explanation, setExplanation] = useState('');
   const [isExplaining, setIsExplaining] = useState(false);
-  const [audioContext, setAudioContext] = useState(null);
-  const [audioSource, setAudioSource] = useState(null);
   const [minExplanationTime, setMinExplanationTime] = useState(null);
   const [pausedAtTime, setPausedAtTime] = useState(0);
   const [wasPlayingBeforeExplanation, setWasPlayingBeforeExplanation] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  const [waveform, setWaveform] = useState(null);
+  const [explainMarkers, setExplainMarkers] = useState([]);
+  const [activeLoop, setActiveLoop] = useState(null);
+  const [bookmarks, setBookmarks] = useState([]);
+  const bookmarksBookId = useRef(null);
+  const [explainingBookmarkId, setExplainingBookmarkId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showExporter, setShowExporter] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+  const [libraryBooks, setLibraryBooks] = useState([]);
+  const [openingBookId, setOpeningBookId] = useState(null);
+  const [explainWindow, setExplainWindow] = useState(() => 
+    clampExplainWindow(getSetting('explainWindowSeconds', DEFAULT_EXPLAIN_WINDOW_SECONDS))
+  );
+  const [playbackRate, setPlaybackRate] = useState(1);
+  // 'pause' stops the book for explanations, 'duck' keeps it playing quietly underneath
+  const [explainMode, setExplainMode] = useState(() => getSetting('explainMode', 'pause'));
+  const [controlSettings, setControlSettings] = useState(loadControlSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [audioPreset, setAudioPreset] = useState(() => {
+    const saved = getSetting('audioPreset', DEFAULT_AUDIO_PRESET);
+    return AUDIO_PRESETS[saved] ? saved : DEFAULT_AUDIO_PRESET;
+  });
 
   // iOS detection
   const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
@@ -45,21 +83,75 @@ function App() {
     setTimeout(() => setErrorMessage(''), 10000);
   };
 
-  // Effect to clean up audio context on unmount
+  // The audio context lives for the whole session; only tear it down on unmount
   useEffect(() => {
     return () => {
-      if (audioContext) {
-        console.log('[App.js] Cleaning up audio context');
-        if (audioContext.state !== 'closed') {
-          audioContext.close();
+      console.log('[App.js] Cleaning up audio');
+      releaseAudio();
+    };
+  }, []);
+
+  // Books kept from earlier sessions
+  useEffect(() => {
+    refreshLibrary();
+  }, []);
+
+  // Keep the playback chain on the chosen voice clarity preset
+  useEffect(() => {
+    setServiceAudioPreset(audioPreset);
+  }, [audioPreset]);
+
+  // Never leave the book ducked once the explanation is gone (e.g. dismissed mid-speech)
+  useEffect(() => {
+    if (!explanation) {
+      unduckAudio();
+    }
+  }, [explanation]);
+
+  // Loudness overview for the scrubber; computed in the background once per book, then cached
+  useEffect(() => {
+    if (!audioBook) {
+      setWaveform(null);
+      return;
+    }
+    
+    setWaveform(null);
+    const controller = new AbortController();
+    computeWaveform(audioBook, { signal: controller.signal })
+      .then(setWaveform)
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.warn('[App.js] Waveform unavailable:', error.message);
         }
-      }
-      if (audioSource) {
-        console.log('[App.js] Cleaning up audio source');
-        audioSource.disconnect();
-      }
+      });
+    
+    return () => controller.abort();
+  }, [audioBook]);
+
+  // Save the place in the book regularly while playing, so a crash loses a few seconds at most
+  useEffect(() => {
+    if (!audioBook || !isPlaying) return;
+    
+    const timer = setInterval(() => savePosition(audioBook, getCurrentPlaybackTime()), POSITION_SAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [audioBook, isPlaying]);
+
+  // Mobile browsers may kill a hidden tab without warning; save right away when it goes to the background
+  useEffect(() => {
+    if (!audioBook) return;
+    
+    const savePlace = () => savePosition(audioBook, isPlaying ? getCurrentPlaybackTime() : pausedAtTime);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') savePlace();
+    };
+    
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', savePlace);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', savePlace);
     };
-  }, [audioContext, audioSource]);
+  }, [audioBook, isPlaying, pausedAtTime]);
 
   // Set up global seek handler
   useEffect(() => {
@@ -67,30 +159,125 @@ function App() {
     return () => {
       delete window.audioPlayerSeek;
     };
-  }, [audioFile, audioContext, isPlaying]);
+  }, [audioBook, isPlaying]);
 
-  const handleFileUpload = (file) => {
+  const handleExplainWindowChange = (seconds) => {
+    const windowSeconds = clampExplainWindow(seconds);
+    console.log('[App.js] Explain window changed to', windowSeconds, 'seconds');
+    setExplainWindow(windowSeconds);
+    setSetting('explainWindowSeconds', windowSeconds);
+  };
+
+  const handleExplainModeChange = (mode) => {
+    const newMode = mode === 'duck' ? 'duck' : 'pause';
+    console.log('[App.js] Explain mode changed to', newMode);
+    setExplainMode(newMode);
+    setSetting('explainMode', newMode);
+  };
+
+  const handleAudioPresetChange = (presetName) => {
+    if (!AUDIO_PRESETS[presetName]) return;
+    console.log('[App.js] Audio preset changed to', presetName);
+    setAudioPreset(presetName);
+    setSetting('audioPreset', presetName);
+  };
+
+  const handleControlSettingsChange = (changes) => {
+    console.log('[App.js] Control settings changed:', changes);
+    setControlSettings(previous => ({ ...previous, ...changes }));
+    saveControlSettings(changes);
+  };
+
+  const handlePlaybackRateChange = (rate) => {
+    const newRate = clampPlaybackRate(rate);
+    console.log('[App.js] Playback rate changed to', newRate);
+    setPlaybackRate(newRate);
+    setServicePlaybackRate(newRate);
+    if (audioBook) {
+      setBookSetting(audioBook.id, 'playbackRate', newRate);
+    }
+  };
+
+  const refreshLibrary = async () => {
+    try {
+      setLibraryBooks(await listBooks());
+    } catch (error) {
+      console.warn('[App.js] Library unavailable:', error.message);
+    }
+  };
+
+  // The importer has already read, checked and measured the parts
+  const handleImport = ({ book, parts }) => {
+    console.log('[App.js] Book imported:', book.title, `(${parts.length} part${parts.length === 1 ? '' : 's'})`);
+    openBook(book);
+    
+    // Playback doesn't wait for the library copy, which can take a while for large books
+    saveBook(book)
+      .then(refreshLibrary)
+      .catch(error => handleError(error, 'Library'));
+  };
+
+  const handleOpenFromLibrary = async (id) => {
+    setOpeningBookId(id);
+    try {
+      openBook(await loadLibraryBook(id));
+      refreshLibrary();
+    } catch (error) {
+      handleError(error, 'Library');
+    } finally {
+      setOpeningBookId(null);
+    }
+  };
+
+  const handleRemoveFromLibrary = async (id) => {
+    try {
+      await removeBook(id);
+      refreshLibrary();
+    } catch (error) {
+      handleError(error, 'Library');
+    }
+  };
+
+  const openBook = (book) => {
     try {
-      console.log('[App.js] File uploaded:', file.name);
-      setAudioFile(file);
-      setFileName(file.name);
       setErrorMessage(''); // Clear any previous errors
       
-      // Reset states when a new file is uploaded
+      // Keep the place in the book being replaced
+      if (audioBook) {
+        savePosition(audioBook, isPlaying ? getCurrentPlaybackTime() : pausedAtTime);
+      }
+      
+      setAudioBook(book);
+      setFileName(book.title);
+      
+      // Reset states when a new book is opened
       setExplanation('');
       setIsPlaying(false);
       setIsExplaining(false);
       setMinExplanationTime(null);
-      setPausedAtTime(0);
       setWasPlayingBeforeExplanation(false);
+      setExplainMarkers(getBookSetting(book.id, 'explainMarkers', []));
+      setBookmarks([]);
+      bookmarksBookId.current = book.id;
+      getBookmarks(book)
+        .then(list => showBookmarks(book, list))
+        .catch(error => handleError(error, 'Load Bookmarks'));
+      setActiveLoop(null);
       
-      if (audioContext && audioContext.state !== 'closed') {
-        audioContext.close();
-        setAudioContext(null);
-        setAudioSource(null);
-      }
+      // A new book gets a fresh element, recorder and context
+      releaseAudio();
+      
+      // Pick up where the book was left, a little earlier for context
+      const resumeAt = getResumePosition(book, controlSettings.resumeRewindSeconds);
+      setPausedAtTime(resumeAt);
+      setCurrentPlaybackTime(resumeAt);
+      
+      // Speed is remembered per book
+      const bookRate = clampPlaybackRate(getBookSetting(book.id, 'playbackRate', 1));
+      setPlaybackRate(bookRate);
+      setServicePlaybackRate(bookRate);
     } catch (error) {
-      handleError(error, 'File Upload');
+      handleError(error, 'Open Book');
     }
   };
 
@@ -99,22 +286,16 @@ function App() {
       console.log('[App.js] Starting audio playback');
       setErrorMessage(''); // Clear any previous errors
       
-      if (!audioFile) {
+      if (!audioBook) {
         throw new Error('No audio file selected');
       }
 
       // Use provided seekTime or current paused position
       const startTime = seekTime !== null ? seekTime : pausedAtTime;
       
-      // Clean up existing context
-      if (audioContext && audioContext.state !== 'closed') {
-        audioContext.close();
-      }
-      
-      const { context, source } = await initializeAudio(audioFile, startTime);
-      setAudioContext(context);
-      setAudioSource(source);
-      console.log('[App.js] Audio context and source initialized');
+      // Reuses the loaded element and context when the same book is already open
+      await initializeAudio(audioBook, startTime);
+      console.log('[App.js] Audio playback started at', startTime);
       
       // Clear any existing explanation when starting new playback
       if (explanation) {
@@ -133,12 +314,12 @@ function App() {
   const handlePause = () => {
     try {
       console.log('[App.js] Pausing audio playback');
-      if (audioContext && audioContext.state === 'running') {
+      if (isPlaying) {
         // Store current playback position
-        const currentTime = getCurrentPlaybackTime();
+        const currentTime = pauseAudio();
         setPausedAtTime(currentTime);
+        savePosition(audioBook, currentTime);
         
-        audioContext.suspend();
         setIsPlaying(false);
       }
     } catch (error) {
@@ -149,65 +330,202 @@ function App() {
   const handleSeek = async (time) => {
     try {
       console.log('[App.js] Seeking to time:', time);
-      setPausedAtTime(time);
-      
-      // If currently playing, restart from new position
-      if (isPlaying) {
-        // Stop current playback
-        if (audioContext && audioContext.state !== 'closed') {
-          audioContext.close();
-        }
-        setAudioContext(null);
-        setAudioSource(null);
-        setIsPlaying(false);
-        
-        // Restart with new time
-        setTimeout(() => {
-          handlePlay(time);
-        }, 100);
-      }
+      // Playback carries on from the new position if it was running
+      const position = await seekAudio(time);
+      setPausedAtTime(position);
+      savePosition(audioBook, position);
     } catch (error) {
       handleError(error, 'Audio Seek');
     }
   };
 
-  const handleExplain = async () => {
+  // A-B loop: the audio service wraps playback and reports each pass back here
+  const handleLoopStart = async ({ start, end, repeats }) => {
+    console.log('[App.js] Starting loop', { start, end, repeats });
+    setServiceLoop({ start, end, repeats }, setActiveLoop);
+    setActiveLoop(getLoop());
+    
+    const position = getCurrentPlaybackTime();
+    if (position < start || position >= end) {
+      await handleSeek(start);
+    }
+  };
+
+  const handleLoopStop = () => {
+    console.log('[App.js] Stopping loop');
+    setServiceLoop(null);
+    setActiveLoop(null);
+  };
+
+  // Every explanation goes into the history; a failed save only costs the history entry
+  const recordExplanation = (book, passage, response) => {
+    addExplanation({
+      bookId: book.id,
+      bookTitle: book.title,
+      ...passage,
+      transcription: response.transcription,
+      explanation: response.explanation,
+      transcriptionModel: response.transcriptionModel,
+      model: response.model,
+      latencyMs: response.latencyMs
+    })
+      .then(entry => setHistory(previous => [entry, ...previous]))
+      .catch(error => console.warn('[App.js] Could not save explanation to history:', error.message));
+  };
+
+  const handleToggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+    
+    setShowHistory(true);
+    setIsHistoryLoading(true);
+    try {
+      setHistory(await listExplanations());
+    } catch (error) {
+      handleError(error, 'Explanation History');
+    } finally {
+      setIsHistoryLoading(false);
+    }
+  };
+
+  const handleHistoryJump = (entry) => {
+    console.log('[App.js] Jumping to explained passage at', entry.start);
+    handleSeek(entry.start);
+  };
+
+  // Speak a stored explanation again, pausing and resuming the book just like a new one
+  const handleReplayExplanation = (entry) => {
+    console.log('[App.js] Replaying explanation from', new Date(entry.createdAt).toISOString());
+    const shouldPause = isPlaying && explainMode !== 'duck';
+    if (shouldPause) {
+      const currentTime = pauseAudio();
+      setPausedAtTime(currentTime);
+      savePosition(audioBook, currentTime);
+      setIsPlaying(false);
+    }
+    setWasPlayingBeforeExplanation(shouldPause);
+    setMinExplanationTime(null);
+    setExplanation(entry.explanation);
+  };
+
+  // Bookmark lists arrive asynchronously; ignore any for a book that is no longer open
+  const showBookmarks = (book, list) => {
+    if (bookmarksBookId.current === book.id) {
+      setBookmarks(list);
+    }
+  };
+
+  // Bookmark the current moment; resolves with the bookmark so the player can open it for a note
+  const handleBookmark = async () => {
+    const book = audioBook;
+    if (!book) return null;
+    
+    const time = isPlaying ? getCurrentPlaybackTime() : pausedAtTime;
+    try {
+      const { bookmark, bookmarks: updated } = await addBookmark(book, time);
+      showBookmarks(book, updated);
+      return bookmark;
+    } catch (error) {
+      handleError(error, 'Bookmark');
+      return null;
+    }
+  };
+
+  const handleBookmarkUpdate = async (id, changes) => {
+    const book = audioBook;
+    try {
+      showBookmarks(book, await updateBookmark(book, id, changes));
+    } catch (error) {
+      handleError(error, 'Bookmark Update');
+    }
+  };
+
+  const handleBookmarkDelete = async (id) => {
+    const book = audioBook;
+    try {
+      showBookmarks(book, await removeBookmark(book, id));
+    } catch (error) {
+      handleError(error, 'Bookmark Delete');
+    }
+  };
+
+  // Explain the explain window around a bookmark and keep the result with it; playback is left alone
+  const handleBookmarkExplain = async (id) => {
+    const book = audioBook;
+    const bookmark = bookmarks.find(candidate => candidate.id === id);
+    if (!book || !bookmark) return;
+    
     try {
-      console.log('[App.js] Explaining audio content');
+      console.log('[App.js] Explaining around bookmark at', bookmark.time);
+      setExplainingBookmarkId(id);
+      
+      const range = getBookmarkWindow(book, bookmark.time, explainWindow);
+      const recordedAudioData = await captureRange(range.start, range.end, book);
+      const { title, author, narrator } = book.metadata;
+      const response = await processAudioAndGetExplanation(recordedAudioData, fileName, {
+        title, author, narrator, chapterTitle: bookmark.chapterTitle, range
+      });
+      
+      recordExplanation(book, { source: 'bookmark', chapterTitle: bookmark.chapterTitle, ...range }, response);
+      
+      const updated = await updateBookmark(book, id, {
+        transcript: response.transcription,
+        explanation: response.explanation,
+        explainedRange: range
+      });
+      // The book may have been switched while waiting
+      showBookmarks(book, updated);
+    } catch (error) {
+      handleError(error, 'Bookmark Explanation');
+    } finally {
+      setExplainingBookmarkId(null);
+    }
+  };
+
+  const handleExplain = () => explainAudio(null);
+
+  // Explain exactly the selected part of the book instead of the window before the playhead
+  const handleExplainRange = (start, end) => explainAudio({ start, end });
+
+  const explainAudio = async (range) => {
+    try {
+      console.log('[App.js] Explaining audio content', range || '');
       setIsExplaining(true);
       setErrorMessage(''); // Clear any previous errors
       
-      if (!audioContext) {
-        throw new Error('No audio context available');
+      if (!audioBook) {
+        throw new Error('No audio file selected');
       }
       
-      // Remember if we were playing before explanation
-      const wasCurrentlyPlaying = isPlaying;
-      setWasPlayingBeforeExplanation(wasCurrentlyPlaying);
+      // In duck mode the book keeps playing, so there is nothing to resume afterwards
+      const shouldPause = isPlaying && explainMode !== 'duck';
+      setWasPlayingBeforeExplanation(shouldPause);
       
       // Store current position BEFORE stopping playback
-      let currentPosition = pausedAtTime;
-      if (isPlaying) {
-        currentPosition = getCurrentPlaybackTime();
-        setPausedAtTime(currentPosition); // Update the paused position immediately
+      const currentPosition = getCurrentPlaybackTime();
+      setPausedAtTime(currentPosition); // Update the paused position immediately
+      savePosition(audioBook, currentPosition);
+      if (shouldPause) {
         console.log('[App.js] Stopping playback for explanation at time:', currentPosition);
         
-        if (audioSource) {
-          audioSource.stop();
-          setAudioSource(null);
-        }
-        if (audioContext && audioContext.state !== 'closed') {
-          audioContext.close();
-          setAudioContext(null);
-        }
+        // Pause only; the context and element stay alive for the resume
+        pauseAudio();
         
         // IMPORTANT: Set isPlaying to false immediately so UI reflects paused state
         setIsPlaying(false);
       }
       
       // Get audio data for explanation with enhanced error handling
-      console.log('[App.js] Attempting to stop recording and get audio data...');
-      const recordedAudioData = await stopRecording();
+      let recordedAudioData;
+      if (range) {
+        console.log('[App.js] Capturing selected range', range.start, 'to', range.end);
+        recordedAudioData = await captureRange(range.start, range.end, audioBook);
+      } else {
+        console.log('[App.js] Capturing explain window ending at', currentPosition);
+        recordedAudioData = await stopRecording(explainWindow, currentPosition, audioBook);
+      }
       console.log('[App.js] Audio data captured for explanation:', {
         size: recordedAudioData.audioBlob.size,
         type: recordedAudioData.mimeType
@@ -224,7 +542,10 @@ function App() {
       
       // Process the audio data and get explanation from API
       console.log('[App.js] Sending audio data to API...');
-      const response = await processAudioAndGetExplanation(recordedAudioData, fileName);
+      const { title, author, narrator } = audioBook.metadata;
+      const passageStart = range ? range.start : currentPosition;
+      const chapterTitle = getChapterTitle(audioBook, passageStart);
+      const response = await processAudioAndGetExplanation(recordedAudioData, fileName, { title, author, narrator, chapterTitle, range });
       console.log('[App.js] Received explanation response');
       
       // Set a minimum time for the explanation to be displayed
@@ -232,6 +553,24 @@ function App() {
       setMinExplanationTime(Date.now() + minDisplayTime);
       
       setExplanation(response.explanation);
+      
+      // Keep the passage the clip actually covered; the explain window can widen past silence
+      const windowStart = range ? range.start : Math.max(0, currentPosition - explainWindow);
+      const windowEnd = range ? range.end : currentPosition;
+      recordExplanation(audioBook, {
+        source: range ? 'range' : 'window',
+        chapterTitle,
+        start: isFinite(recordedAudioData.startTime) ? recordedAudioData.startTime : windowStart,
+        end: isFinite(recordedAudioData.endTime) ? recordedAudioData.endTime : windowEnd
+      }, response);
+      
+      // Remember where explanations were asked for so the scrubber can mark them
+      const marker = range
+        ? { time: range.start, end: range.end, requestedAt: Date.now() }
+        : { time: currentPosition, requestedAt: Date.now() };
+      const markers = [...explainMarkers, marker].slice(-MAX_EXPLAIN_MARKERS);
+      setExplainMarkers(markers);
+      setBookSetting(audioBook.id, 'explainMarkers', markers);
     } catch (error) {
       console.error('[App.js] Error getting explanation:', error);
       handleError(error, 'Explanation Generation');
@@ -258,9 +597,20 @@ function App() {
     }
   };
   
+  // Handler for when text-to-speech becomes audible
+  const handleSpeechStart = () => {
+    if (explainMode === 'duck' && isPlaying) {
+      console.log('[App.js] Speech started, ducking audiobook');
+      duckAudio();
+    }
+  };
+
   // Handler for when text-to-speech finishes
   const handleSpeechEnd = () => {
     try {
+      // Duck mode: bring the book back up as soon as the voice stops
+      unduckAudio();
+      
       console.log('[App.js] Speech ended, auto-resuming audiobook. Was playing before:', wasPlayingBeforeExplanation);
       
       // Check if minimum explanation time has passed
@@ -312,6 +662,62 @@ function App() {
         <div className="app-container">
           <h1>Audio Book Explainer</h1>
           
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            aria-expanded={showSettings}
+            className="app-toolbar-button"
+          >
+            ⚙️ Settings
+          </button>
+          
+          <button
+            onClick={handleToggleHistory}
+            aria-expanded={showHistory}
+            className="app-toolbar-button"
+          >
+            🕘 History
+          </button>
+          
+          <button
+            onClick={() => setShowExporter(!showExporter)}
+            aria-expanded={showExporter}
+            disabled={!audioBook}
+            className="app-toolbar-button"
+          >
+            📝 Export Notes
+          </button>
+          
+          {showExporter && audioBook && (
+            <NotesExporter
+              book={audioBook}
+              bookmarks={bookmarks}
+              onClose={() => setShowExporter(false)}
+            />
+          )}
+          
+          {showHistory && (
+            <ExplanationHistory
+              entries={history}
+              isLoading={isHistoryLoading}
+              currentBookId={audioBook ? audioBook.id : null}
+              onJump={handleHistoryJump}
+              onReplay={handleReplayExplanation}
+              isReplayDisabled={isExplaining}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+          
+          {showSettings && (
+            <SettingsPanel
+              skipBackSeconds={controlSettings.skipBackSeconds}
+              skipForwardSeconds={controlSettings.skipForwardSeconds}
+              resumeRewindSeconds={controlSettings.resumeRewindSeconds}
+              buttonMapping={controlSettings.buttonMapping}
+              onChange={handleControlSettingsChange}
+              onClose={() => setShowSettings(false)}
+            />
+          )}
+          
           {/* Error Display */}
           {errorMessage && (
             <div style={{
@@ -342,25 +748,60 @@ function App() {
             </div>
           )}
           
-          <AudioUploader onFileUpload={handleFileUpload} />
+          <LibraryView
+            books={libraryBooks}
+            currentBookId={audioBook ? audioBook.id : null}
+            openingBookId={openingBookId}
+            onOpen={handleOpenFromLibrary}
+            onRemove={handleRemoveFromLibrary}
+          />
+          
+          <AudioImporter onImport={handleImport} />
           
-          {audioFile && (
+          {audioBook && (
             <AudioPlayer 
               isPlaying={isPlaying}
               onPlay={handlePlay}
               onPause={handlePause}
               onExplain={handleExplain}
+              onExplainRange={handleExplainRange}
+              loop={activeLoop}
+              onLoopStart={handleLoopStart}
+              onLoopStop={handleLoopStop}
               onResume={handleResume}
               fileName={fileName}
               isExplaining={isExplaining}
-              audioFile={audioFile}
+              book={audioBook}
               currentTime={pausedAtTime}
+              explainWindow={explainWindow}
+              onExplainWindowChange={handleExplainWindowChange}
+              playbackRate={playbackRate}
+              onPlaybackRateChange={handlePlaybackRateChange}
+              explainMode={explainMode}
+              onExplainModeChange={handleExplainModeChange}
+              audioPreset={audioPreset}
+              onAudioPresetChange={handleAudioPresetChange}
+              skipBackSeconds={controlSettings.skipBackSeconds}
+              skipForwardSeconds={controlSettings.skipForwardSeconds}
+              buttonMapping={controlSettings.buttonMapping}
+              waveform={waveform}
+              onBookmark={handleBookmark}
+              bookmarks={bookmarks}
+              onBookmarkUpdate={handleBookmarkUpdate}
+              onBookmarkDelete={handleBookmarkDelete}
+              onBookmarkExplain={handleBookmarkExplain}
+              explainingBookmarkId={explainingBookmarkId}
+              markers={[
+                ...explainMarkers.map(marker => ({ time: marker.time, type: 'explain' })),
+                ...bookmarks.map(bookmark => ({ time: bookmark.time, type: 'bookmark', label: bookmark.note ? `Bookmark: ${bookmark.note}` : null }))
+              ]}
             />
           )}
           
           {explanation && (
             <ExplanationDisplay 
               explanation={explanation} 
+              onSpeechStart={handleSpeechStart}
               onSpeechEnd={handleSpeechEnd}
             />
           )}
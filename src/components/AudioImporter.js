@@ -0,0 +1,255 @@
+import React, { useState, useRef } from 'react';
+import { createAudioBook, setPartPath } from '../services/audioBook';
+import { rememberFileHandle } from '../services/libraryService';
+import { formatFileSize } from '../services/fileBytes';
+import './AudioImporter.css';
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.aac', '.m4a', '.m4b', '.mp4', '.ogg', '.oga', '.opus', '.webm', '.flac', '.caf', '.aif', '.aiff', '.aax', '.aa'];
+
+const STAGE_LABELS = {
+  checking: 'Checking formats',
+  reading: 'Reading tags',
+  measuring: 'Measuring parts'
+};
+
+// MIME type first, falling back to common audio file extensions in case detection fails
+const isAudioFile = (file) => {
+  if (file.type.includes('audio')) return true;
+  const fileName = file.name.toLowerCase();
+  return AUDIO_EXTENSIONS.some(ext => fileName.endsWith(ext));
+};
+
+// Dotfiles such as .DS_Store and macOS "._Part 1.mp3" resource forks come along with folders
+const isHiddenFile = (file) => file.name.startsWith('.');
+
+// Directory readers hand out entries in batches until an empty one
+const readDirectory = (directory) => {
+  return new Promise((resolve, reject) => {
+    const reader = directory.createReader();
+    const entries = [];
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (!batch.length) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+};
+
+// Files from dropped folders have no webkitRelativePath, so it is filled in from the entry
+// to keep part ordering and folder titles the same as with the folder picker
+const collectEntryFiles = async (entry) => {
+  if (entry.isDirectory) {
+    const children = await readDirectory(entry);
+    const nested = await Promise.all(children.map(collectEntryFiles));
+    return nested.flat();
+  }
+
+  const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+  return [setPartPath(file, entry.fullPath.replace(/^\//, ''))];
+};
+
+// File System Access handles let the library reopen files in place instead of copying them
+const collectHandleFiles = async (handle, folder = '') => {
+  const path = folder ? `${folder}/${handle.name}` : handle.name;
+  if (handle.kind === 'directory') {
+    const files = [];
+    for await (const child of handle.values()) {
+      files.push(...(await collectHandleFiles(child, path)));
+    }
+    return files;
+  }
+
+  const file = setPartPath(await handle.getFile(), path);
+  rememberFileHandle(file, handle);
+  return [file];
+};
+
+// Handles and entries must be requested synchronously inside the drop event; browsers with neither only get top-level files
+const getDroppedFiles = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+
+  if (items.length && items.every(item => item.getAsFileSystemHandle)) {
+    const handles = items.map(item => item.getAsFileSystemHandle());
+    return Promise.all(handles)
+      .then(resolved => Promise.all(resolved.filter(Boolean).map(handle => collectHandleFiles(handle))))
+      .then(nested => nested.flat());
+  }
+
+  const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.length && entries.every(Boolean)) {
+    return Promise.all(entries.map(collectEntryFiles)).then(nested => nested.flat());
+  }
+  return Promise.resolve(Array.from(dataTransfer.files || []));
+};
+
+/**
+ * Drop zone and file/folder pickers. One file is a book; several files or a
+ * folder are the parts of one book. Hands App { book, parts, metadata, skipped }.
+ */
+function AudioImporter({ onImport }) {
+  console.log('[AudioImporter.js] Rendering AudioImporter component');
+
+  const [isDragging, setIsDragging] = useState(false);
+  // { stage, fileName, completed, total, fileCount, size } while a book is being read
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const dragDepth = useRef(0);
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const isImporting = progress !== null;
+
+  const importFiles = async (selected) => {
+    if (!selected.length || isImporting) return;
+    console.log('[AudioImporter.js] Files selected:', selected.map(file => `${file.name} (${file.type})`));
+
+    setError('');
+    setNotice('');
+
+    const audioFiles = selected.filter(file => !isHiddenFile(file) && isAudioFile(file));
+    const skipped = selected.filter(file => !audioFiles.includes(file)).map(file => file.name);
+    if (!audioFiles.length) {
+      console.error('[AudioImporter.js] No audio files in selection');
+      setError('No audio files found. Pick MP3, M4B/M4A, AAC, FLAC, Ogg, Opus, WAV or WebM files, or a folder of them.');
+      return;
+    }
+    if (skipped.length) {
+      console.log('[AudioImporter.js] Skipped non-audio files:', skipped);
+    }
+
+    const size = audioFiles.reduce((sum, file) => sum + file.size, 0);
+    setProgress({ stage: 'checking', fileName: null, completed: 0, total: audioFiles.length * 3, fileCount: audioFiles.length, size });
+
+    try {
+      const book = await createAudioBook(audioFiles, {
+        onProgress: (update) => setProgress(previous => ({ ...previous, ...update }))
+      });
+
+      if (skipped.length) {
+        const names = skipped.slice(0, 3).join(', ') + (skipped.length > 3 ? ', …' : '');
+        setNotice(`Skipped ${skipped.length} non-audio file${skipped.length === 1 ? '' : 's'} (${names})`);
+      }
+      onImport({ book, parts: book.parts, metadata: book.metadata, skipped });
+    } catch (importError) {
+      console.error('[AudioImporter.js] Import failed:', importError);
+      setError(importError.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleInputChange = (event) => {
+    importFiles(Array.from(event.target.files || []));
+    // Allow picking the same selection again
+    event.target.value = '';
+  };
+
+  // dragenter/dragleave also fire for child elements, so count them to know when the pointer really leaves
+  const handleDragEnter = (event) => {
+    event.preventDefault();
+    dragDepth.current++;
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    event.preventDefault();
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (!dragDepth.current) setIsDragging(false);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = isImporting ? 'none' : 'copy';
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+    if (isImporting) return;
+
+    try {
+      importFiles(await getDroppedFiles(event.dataTransfer));
+    } catch (dropError) {
+      console.error('[AudioImporter.js] Could not read dropped items:', dropError);
+      setError('Could not read the dropped files. Try the file or folder picker instead.');
+    }
+  };
+
+  const percent = progress ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <div
+      className={`audio-importer ${isDragging ? 'dragging' : ''} ${isImporting ? 'importing' : ''}`}
+      onDragEnter={handleDragEnter}
+      onDragLeave={handleDragLeave}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
+      <h2>Open Audiobook</h2>
+      <p className="importer-hint">
+        Drag a file, several parts or a whole folder here to play them as one book.
+      </p>
+
+      <div className="importer-buttons">
+        <button type="button" onClick={() => fileInputRef.current.click()} disabled={isImporting}>
+          Select File(s)
+        </button>
+        <button type="button" onClick={() => folderInputRef.current.click()} disabled={isImporting}>
+          Select Folder
+        </button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        className="importer-input"
+        onChange={handleInputChange}
+        multiple
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        className="importer-input"
+        onChange={handleInputChange}
+        webkitdirectory=""
+        directory=""
+        multiple
+      />
+
+      {progress && (
+        <div className="importer-progress" role="status">
+          <div className="importer-progress-label">
+            <span>{STAGE_LABELS[progress.stage]}{progress.fileName ? `: ${progress.fileName}` : '…'}</span>
+            <span>{percent}%</span>
+          </div>
+          <progress max={progress.total} value={progress.completed} />
+          <div className="importer-progress-size">
+            {progress.fileCount} file{progress.fileCount === 1 ? '' : 's'} · {formatFileSize(progress.size)}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="importer-error" role="alert">
+          {error}
+          <button type="button" onClick={() => setError('')} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
+      {notice && !error && <p className="importer-notice">{notice}</p>}
+
+      <p className="importer-formats">
+        Accepted formats: MP3, M4B/M4A, AAC, FLAC, Ogg, Opus, WAV, WebM
+      </p>
+    </div>
+  );
+}
+
+export default AudioImporter;
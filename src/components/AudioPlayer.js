@@ -1,57 +1,148 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MIN_EXPLAIN_WINDOW_SECONDS, MAX_EXPLAIN_WINDOW_SECONDS, PLAYBACK_RATES, getCurrentPlaybackTime } from '../services/audioService';
+import { AUDIO_PRESETS } from '../services/audioEffects';
+import { findPartIndex, findChapterIndex } from '../services/audioBook';
+import { formatTimestamp } from '../services/timeFormat';
+import { HARDWARE_BUTTONS, DEFAULT_BUTTON_MAPPING, DEFAULT_SKIP_BACK_SECONDS, DEFAULT_SKIP_FORWARD_SECONDS, isBackwardButton } from '../services/controlSettings';
+import ChapterList from './ChapterList';
+import RangeExplainPanel from './RangeExplainPanel';
+import LoopPanel from './LoopPanel';
+import BookmarkList from './BookmarkList';
 import './AudioPlayer.css';
 
+// Human-readable explain window, e.g. "10 Seconds", "2 Minutes", "1:30"
+const formatExplainWindow = (seconds) => {
+  if (seconds < 60) return `${seconds} Seconds`;
+  if (seconds % 60 === 0) {
+    const minutes = seconds / 60;
+    return `${minutes} ${minutes === 1 ? 'Minute' : 'Minutes'}`;
+  }
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const MARKER_LABELS = {
+  chapter: 'Chapter',
+  explain: 'Explanation',
+  bookmark: 'Bookmark'
+};
+
+// One mirrored bar per waveform bucket, in a 100-unit-high viewBox
+const buildWaveformPath = (levels) => {
+  return levels.map((level, index) => {
+    const height = Math.max(2, level * 100);
+    return `M${index} ${(100 - height) / 2}h0.8v${height}h-0.8Z`;
+  }).join('');
+};
+
 function AudioPlayer({ 
   isPlaying, 
   onPlay, 
   onPause, 
   onExplain, 
+  onExplainRange,
   onResume,
   fileName, 
   isExplaining,
-  audioFile,
-  currentTime: propCurrentTime
+  book,
+  currentTime: propCurrentTime,
+  explainWindow,
+  onExplainWindowChange,
+  playbackRate = 1,
+  onPlaybackRateChange,
+  explainMode = 'pause',
+  onExplainModeChange,
+  audioPreset = 'off',
+  onAudioPresetChange,
+  skipBackSeconds = DEFAULT_SKIP_BACK_SECONDS,
+  skipForwardSeconds = DEFAULT_SKIP_FORWARD_SECONDS,
+  buttonMapping = DEFAULT_BUTTON_MAPPING,
+  onBookmark,
+  bookmarks = [],
+  onBookmarkUpdate,
+  onBookmarkDelete,
+  onBookmarkExplain,
+  explainingBookmarkId = null,
+  waveform = null,
+  markers = [],
+  loop = null,
+  onLoopStart,
+  onLoopStop
 }) {
   const [currentTime, setCurrentTime] = useState(propCurrentTime || 0);
-  const [duration, setDuration] = useState(0);
+  const duration = book ? book.duration : 0;
   const [isDragging, setIsDragging] = useState(false);
-  const playbackStartTime = useRef(null);
-  const pausedAt = useRef(propCurrentTime || 0);
+  const [showChapters, setShowChapters] = useState(false);
+  const [coverUrl, setCoverUrl] = useState(null);
+  const [isRangeMode, setIsRangeMode] = useState(false);
+  const [selection, setSelection] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [showLoop, setShowLoop] = useState(false);
+  const [loopPoints, setLoopPoints] = useState({ start: null, end: null });
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [newBookmarkId, setNewBookmarkId] = useState(null);
   const animationFrame = useRef(null);
   const scrubberRef = useRef(null);
+  const selectionAnchor = useRef(0);
 
   // iOS detection
   const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
 
+  // Selections and loop points belong to one book
+  useEffect(() => {
+    setIsRangeMode(false);
+    setSelection(null);
+    setLoopPoints({ start: null, end: null });
+    setNewBookmarkId(null);
+  }, [book]);
+
   // Update internal current time when prop changes
   useEffect(() => {
     if (propCurrentTime !== undefined) {
       setCurrentTime(propCurrentTime);
-      pausedAt.current = propCurrentTime;
-      
-      // If we're explaining, don't restart the playback timer
-      if (!isExplaining) {
-        playbackStartTime.current = isPlaying ? Date.now() : null;
-      }
     }
-  }, [propCurrentTime, isExplaining, isPlaying]);
+  }, [propCurrentTime]);
+
+  const metadata = (book && book.metadata) || {};
+  const cover = metadata.cover || null;
+  const chapters = (book && book.chapters) || [];
+  const currentChapter = findChapterIndex(book, currentTime);
+  const chapterTitle = currentChapter >= 0 ? chapters[currentChapter].title : null;
+
+  // Object URL for the embedded cover, released when the book changes
+  useEffect(() => {
+    if (!cover) {
+      setCoverUrl(null);
+      return;
+    }
+    
+    const url = URL.createObjectURL(cover);
+    setCoverUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [cover]);
+
+  // Title, author, chapter and cover art for the lock screen and car display
+  useEffect(() => {
+    if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') {
+      return;
+    }
+    
+    try {
+      navigator.mediaSession.metadata = new MediaMetadata({
+        title: fileName || 'Audiobook',
+        artist: metadata.author || metadata.narrator || '',
+        album: chapterTitle || fileName || '',
+        artwork: coverUrl ? [{ src: coverUrl, type: cover.type || 'image/jpeg' }] : []
+      });
+
+      console.log('[AudioPlayer] Media Session metadata set successfully');
+    } catch (error) {
+      console.warn('[AudioPlayer] Failed to set Media Session metadata:', error);
+    }
+  }, [fileName, metadata.author, metadata.narrator, chapterTitle, coverUrl, cover]);
 
   // Enhanced Media Session API setup with iOS PWA error handling
   useEffect(() => {
     if ('mediaSession' in navigator) {
-      try {
-        // Set metadata
-        navigator.mediaSession.metadata = new MediaMetadata({
-          title: fileName || 'Audiobook',
-          artist: 'AI Explained Audiobook',
-          album: 'Audiobook Collection',
-        });
-
-        console.log('[AudioPlayer] Media Session metadata set successfully');
-      } catch (error) {
-        console.warn('[AudioPlayer] Failed to set Media Session metadata:', error);
-      }
-
       // Set up action handlers with error handling
       const setupActionHandler = (action, handler) => {
         try {
@@ -76,20 +167,43 @@ function AudioPlayer({
         }
       });
 
-      // Map the previoustrack action to explain functionality
-      setupActionHandler('previoustrack', () => {
-        console.log('[AudioPlayer] Car back button pressed - triggering explain');
-        if (!isExplaining && (isPlaying || fileName)) {
-          onExplain();
+      // Seeks from the lock screen go straight to the live clock so this effect need not re-run on every tick
+      const seekFromSession = (time) => {
+        if (!isFinite(time) || !duration) return;
+        const newTime = Math.max(0, Math.min(duration, time));
+        setCurrentTime(newTime);
+        if (window.audioPlayerSeek) {
+          window.audioPlayerSeek(newTime);
         }
-      });
-
-      // Optional: You could also map seekbackward to explain
-      setupActionHandler('seekbackward', (event) => {
-        console.log('[AudioPlayer] Car seek backward pressed - triggering explain');
-        if (!isExplaining && (isPlaying || fileName)) {
-          onExplain();
+      };
+      
+      // Hardware, lock screen and car buttons do whatever the settings map them to
+      const runMappedAction = (action, details = {}) => {
+        const mapped = buttonMapping[action] || 'none';
+        console.log(`[AudioPlayer] Media Session ${action} pressed - mapped to ${mapped}`);
+        
+        if (mapped === 'explain') {
+          if (!isExplaining && (isPlaying || fileName)) {
+            onExplain();
+          }
+        } else if (mapped === 'skip') {
+          const offset = isBackwardButton(action)
+            ? -(details.seekOffset || skipBackSeconds)
+            : (details.seekOffset || skipForwardSeconds);
+          seekFromSession(getCurrentPlaybackTime() + offset);
+        } else if (mapped === 'bookmark' && onBookmark) {
+          onBookmark();
         }
+      };
+      
+      HARDWARE_BUTTONS.forEach(({ action }) => {
+        setupActionHandler(action, (details) => runMappedAction(action, details));
+      });
+      
+      // Scrubbing from the lock screen or car display
+      setupActionHandler('seekto', (details) => {
+        console.log('[AudioPlayer] Media Session seekto:', details.seekTime);
+        seekFromSession(details.seekTime);
       });
 
       // Update playback state with error handling
@@ -99,53 +213,6 @@ function AudioPlayer({
       } catch (error) {
         console.warn('[AudioPlayer] Failed to update Media Session playback state:', error);
       }
-
-      // Update position state with enhanced iOS PWA error handling
-      if (duration > 0 && !isNaN(duration) && !isNaN(currentTime)) {
-        try {
-          // iOS PWA specific validation
-          const positionData = {
-            duration: Math.max(0, Number(duration)) || 0,
-            playbackRate: 1.0,
-            position: Math.max(0, Math.min(Number(currentTime) || 0, Number(duration) || 0))
-          };
-
-          // Additional validation for iOS
-          if (isIOS) {
-            // Ensure all values are finite numbers
-            if (!isFinite(positionData.duration) || 
-                !isFinite(positionData.position) || 
-                !isFinite(positionData.playbackRate)) {
-              console.warn('[AudioPlayer] Invalid position data for iOS, skipping setPositionState');
-              return;
-            }
-
-            // Ensure position is not greater than duration
-            if (positionData.position > positionData.duration) {
-              positionData.position = positionData.duration;
-            }
-
-            // Ensure minimum values
-            if (positionData.duration < 0.1) {
-              console.warn('[AudioPlayer] Duration too small for iOS setPositionState, skipping');
-              return;
-            }
-          }
-
-          console.log('[AudioPlayer] Setting position state:', positionData);
-          navigator.mediaSession.setPositionState(positionData);
-          console.log('[AudioPlayer] Media Session position state updated successfully');
-        } catch (error) {
-          console.warn('[AudioPlayer] Failed to update Media Session position state:', error);
-          
-          // On iOS, if setPositionState fails, we can still use the other Media Session features
-          if (isIOS) {
-            console.log('[AudioPlayer] Continuing without position state on iOS');
-          }
-        }
-      } else {
-        console.log('[AudioPlayer] Skipping position state update - invalid duration or currentTime');
-      }
     }
 
     // Cleanup function
@@ -154,111 +221,103 @@ function AudioPlayer({
         try {
           navigator.mediaSession.setActionHandler('play', null);
           navigator.mediaSession.setActionHandler('pause', null);
-          navigator.mediaSession.setActionHandler('previoustrack', null);
-          navigator.mediaSession.setActionHandler('seekbackward', null);
+          HARDWARE_BUTTONS.forEach(({ action }) => {
+            navigator.mediaSession.setActionHandler(action, null);
+          });
+          navigator.mediaSession.setActionHandler('seekto', null);
           console.log('[AudioPlayer] Media Session handlers cleaned up');
         } catch (error) {
           console.warn('[AudioPlayer] Error cleaning up Media Session handlers:', error);
         }
       }
     };
-  }, [isPlaying, isExplaining, fileName, onPlay, onPause, onExplain, duration, currentTime]);
-
-  // Calculate and update current time
-  const updateCurrentTime = () => {
-    // Only update time if we're actually playing AND not explaining
-    if (isPlaying && !isExplaining && playbackStartTime.current !== null) {
-      const elapsed = (Date.now() - playbackStartTime.current) / 1000;
-      const newCurrentTime = pausedAt.current + elapsed;
-      
-      if (newCurrentTime >= duration) {
-        setCurrentTime(duration);
-        // Audio has ended
-        return;
-      }
-      
-      setCurrentTime(newCurrentTime);
-      animationFrame.current = requestAnimationFrame(updateCurrentTime);
-    }
-  };
+  }, [isPlaying, isExplaining, fileName, onPlay, onPause, onExplain, onBookmark, buttonMapping, skipBackSeconds, skipForwardSeconds, duration]);
 
-  // Get audio duration when file changes
+  // Keep the lock screen / car display position in sync with the audio clock.
+  // The OS extrapolates while playing, so this only needs to run on state changes and seeks.
   useEffect(() => {
-    if (audioFile) {
-      const audio = new Audio();
-      audio.preload = 'metadata';
-      
-      audio.addEventListener('loadedmetadata', () => {
-        const audioDuration = audio.duration;
-        
-        // Validate duration before setting
-        if (isFinite(audioDuration) && audioDuration > 0) {
-          setDuration(audioDuration);
-          console.log('[AudioPlayer] Audio duration set:', audioDuration);
-          
-          if (!propCurrentTime) {
-            setCurrentTime(0);
-            pausedAt.current = 0;
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) {
+      return;
+    }
+    
+    const position = getCurrentPlaybackTime();
+    
+    // Update position state with enhanced iOS PWA error handling
+    if (duration > 0 && !isNaN(duration) && !isNaN(position)) {
+      try {
+        // iOS PWA specific validation
+        const positionData = {
+          duration: Math.max(0, Number(duration)) || 0,
+          playbackRate: Number(playbackRate) || 1.0,
+          position: Math.max(0, Math.min(Number(position) || 0, Number(duration) || 0))
+        };
+
+        // Additional validation for iOS
+        if (isIOS) {
+          // Ensure all values are finite numbers
+          if (!isFinite(positionData.duration) || 
+              !isFinite(positionData.position) || 
+              !isFinite(positionData.playbackRate)) {
+            console.warn('[AudioPlayer] Invalid position data for iOS, skipping setPositionState');
+            return;
           }
-        } else {
-          console.warn('[AudioPlayer] Invalid audio duration:', audioDuration);
-          setDuration(0);
-        }
-      });
 
-      audio.addEventListener('error', (error) => {
-        console.error('[AudioPlayer] Error loading audio metadata:', error);
-        setDuration(0);
-      });
+          // Ensure position is not greater than duration
+          if (positionData.position > positionData.duration) {
+            positionData.position = positionData.duration;
+          }
 
-      audio.src = URL.createObjectURL(audioFile);
-      
-      return () => {
-        URL.revokeObjectURL(audio.src);
-      };
+          // Ensure minimum values
+          if (positionData.duration < 0.1) {
+            console.warn('[AudioPlayer] Duration too small for iOS setPositionState, skipping');
+            return;
+          }
+        }
+
+        console.log('[AudioPlayer] Setting position state:', positionData);
+        navigator.mediaSession.setPositionState(positionData);
+        console.log('[AudioPlayer] Media Session position state updated successfully');
+      } catch (error) {
+        console.warn('[AudioPlayer] Failed to update Media Session position state:', error);
+        
+        // On iOS, if setPositionState fails, we can still use the other Media Session features
+        if (isIOS) {
+          console.log('[AudioPlayer] Continuing without position state on iOS');
+        }
+      }
+    } else {
+      console.log('[AudioPlayer] Skipping position state update - invalid duration or position');
     }
-  }, [audioFile, propCurrentTime]);
+  }, [isPlaying, isExplaining, duration, propCurrentTime, playbackRate, isIOS]);
 
-  // Handle play/pause state changes
+  // Follow the audio clock while playing (including under a ducked explanation); paused positions come from the prop
   useEffect(() => {
-    if (isPlaying && !isExplaining) {
-      // Only start time tracking if we're playing and not explaining
-      playbackStartTime.current = Date.now();
-      updateCurrentTime();
-    } else {
-      // Stop time tracking if paused OR explaining
-      if (animationFrame.current) {
-        cancelAnimationFrame(animationFrame.current);
-      }
-      
-      if (playbackStartTime.current !== null && !isExplaining) {
-        // Only update pausedAt if we're not explaining (to avoid time jumps)
-        const elapsed = (Date.now() - playbackStartTime.current) / 1000;
-        pausedAt.current += elapsed;
-        setCurrentTime(pausedAt.current);
-      }
-      
-      playbackStartTime.current = null;
+    if (!isPlaying || isDragging) {
+      return;
     }
+    
+    const tick = () => {
+      setCurrentTime(getCurrentPlaybackTime());
+      animationFrame.current = requestAnimationFrame(tick);
+    };
+    tick();
 
     return () => {
       if (animationFrame.current) {
         cancelAnimationFrame(animationFrame.current);
       }
     };
-  }, [isPlaying, isExplaining]); // Added isExplaining as dependency
-
-  // Format time display
-  const formatTime = (time) => {
-    if (!isFinite(time) || time < 0) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }, [isPlaying, isDragging]);
+
+  // Book position under the pointer
+  const timeAtPointer = (clientX) => {
+    const rect = scrubberRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) * duration;
   };
 
   // Handle scrubber interactions
   const handleScrubberClick = (e) => {
-    if (!scrubberRef.current || isDragging || !duration || !isFinite(duration)) return;
+    if (!scrubberRef.current || isDragging || isRangeMode || !duration || !isFinite(duration)) return;
     
     const rect = scrubberRef.current.getBoundingClientRect();
     const clickX = e.clientX - rect.left;
@@ -270,12 +329,29 @@ function AudioPlayer({
     }
   };
 
-  const handleMouseDown = (e) => {
+  // Pointer events so mouse, touch and pen all drag; capture keeps the drag alive off the bar
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (scrubberRef.current && scrubberRef.current.setPointerCapture) {
+      scrubberRef.current.setPointerCapture(e.pointerId);
+    }
+    
+    // In range mode dragging selects a passage instead of seeking
+    if (isRangeMode) {
+      if (!scrubberRef.current || !duration || isExplaining) return;
+      e.preventDefault();
+      const time = timeAtPointer(e.clientX);
+      selectionAnchor.current = time;
+      setSelection({ start: time, end: time });
+      setIsSelecting(true);
+      return;
+    }
+    
     setIsDragging(true);
     handleScrubberClick(e);
   };
 
-  const handleMouseMove = (e) => {
+  const handlePointerMove = (e) => {
     if (!isDragging || !scrubberRef.current || !duration || !isFinite(duration)) return;
     
     const rect = scrubberRef.current.getBoundingClientRect();
@@ -288,7 +364,7 @@ function AudioPlayer({
     }
   };
 
-  const handleMouseUp = (e) => {
+  const handlePointerUp = (e) => {
     if (!isDragging || !duration || !isFinite(duration)) return;
     
     const rect = scrubberRef.current.getBoundingClientRect();
@@ -302,31 +378,64 @@ function AudioPlayer({
     setIsDragging(false);
   };
 
-  // Add global mouse events for dragging
+  // Add global pointer events for dragging
   useEffect(() => {
     if (isDragging) {
-      document.addEventListener('mousemove', handleMouseMove);
-      document.addEventListener('mouseup', handleMouseUp);
+      document.addEventListener('pointermove', handlePointerMove);
+      document.addEventListener('pointerup', handlePointerUp);
+      document.addEventListener('pointercancel', handlePointerUp);
       
       return () => {
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', handleMouseUp);
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', handlePointerUp);
       };
     }
   }, [isDragging, duration]);
 
+  // Track range selection drags anywhere on the page
+  useEffect(() => {
+    if (!isSelecting) {
+      return;
+    }
+    
+    const updateSelection = (e) => {
+      const rect = scrubberRef.current.getBoundingClientRect();
+      const time = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * duration;
+      const anchor = selectionAnchor.current;
+      setSelection({ start: Math.min(anchor, time), end: Math.max(anchor, time) });
+    };
+    const finishSelection = (e) => {
+      updateSelection(e);
+      setIsSelecting(false);
+    };
+    
+    document.addEventListener('pointermove', updateSelection);
+    document.addEventListener('pointerup', finishSelection);
+    document.addEventListener('pointercancel', finishSelection);
+    return () => {
+      document.removeEventListener('pointermove', updateSelection);
+      document.removeEventListener('pointerup', finishSelection);
+      document.removeEventListener('pointercancel', finishSelection);
+    };
+  }, [isSelecting, duration]);
+
+  const closeRangeMode = () => {
+    setIsRangeMode(false);
+    setSelection(null);
+  };
+
+  const handleExplainRange = (start, end) => {
+    console.log('[AudioPlayer] Explaining selected range:', start, end);
+    onExplainRange(start, end);
+  };
+
   // Seek to specific time
   const seekTo = (time) => {
     if (!isFinite(time) || !isFinite(duration)) return;
     
     const newTime = Math.max(0, Math.min(duration, time));
     setCurrentTime(newTime);
-    pausedAt.current = newTime;
-    
-    // If playing, restart from new position
-    if (isPlaying) {
-      playbackStartTime.current = Date.now();
-    }
     
     // Notify parent component about seek
     if (window.audioPlayerSeek) {
@@ -334,6 +443,56 @@ function AudioPlayer({
     }
   };
 
+  // Jump relative to the live position; the clock is more current than rendered state
+  const skipBy = (seconds) => {
+    seekTo(getCurrentPlaybackTime() + seconds);
+  };
+
+  // Which part of a multi-file book the playhead is in
+  const currentPart = book && book.isMultiPart ? findPartIndex(book, currentTime) : null;
+
+  const waveformPath = useMemo(() => (waveform ? buildWaveformPath(waveform) : ''), [waveform]);
+
+  // Chapter starts, explanations and bookmarks, all clickable on the scrubber
+  const scrubberMarkers = duration > 0 ? [
+    ...chapters.slice(1).map(chapter => ({ time: chapter.start, type: 'chapter', label: chapter.title })),
+    ...markers
+  ].filter(marker => marker.time >= 0 && marker.time <= duration) : [];
+
+  // The running loop, or the A/B points picked so far
+  const loopRegion = loop || (loopPoints.start !== null && loopPoints.end !== null ? loopPoints : null);
+
+  const handleMarkerClick = (e, marker) => {
+    e.stopPropagation();
+    console.log('[AudioPlayer] Jumping to', marker.type, 'marker at', marker.time);
+    seekTo(marker.time);
+  };
+
+  // Bookmarks made with the button open the list so a note can be typed straight away
+  const handleBookmarkClick = async () => {
+    const bookmark = await onBookmark();
+    if (bookmark) {
+      setNewBookmarkId(bookmark.id);
+      setShowBookmarks(true);
+    }
+  };
+
+  const handleChapterSelect = (index) => {
+    console.log('[AudioPlayer] Jumping to chapter:', chapters[index].title);
+    seekTo(chapters[index].start);
+  };
+
+  // Tell car users which hardware buttons trigger explain
+  const explainButtons = HARDWARE_BUTTONS
+    .filter(({ action }) => buttonMapping[action] === 'explain')
+    .map(({ label }) => label.toLowerCase());
+  const explainButtonHint = explainButtons.length
+    ? `Press the ${explainButtons.join(' or ')} button on your car stereo to trigger explanations.`
+    : 'Map a car or headphone button to Explain in Settings to trigger explanations hands-free.';
+
+  // Remaining listening time at the current speed
+  const remainingAtSpeed = duration > 0 ? Math.max(0, duration - currentTime) / playbackRate : 0;
+
   // Calculate progress percentage with safety checks
   const progressPercentage = (duration > 0 && isFinite(duration) && isFinite(currentTime)) ? 
     (currentTime / duration) * 100 : 0;
@@ -342,34 +501,180 @@ function AudioPlayer({
 
   return (
     <div className="audio-player">
-      <h2>Now Playing: {fileName}</h2>
+      <div className="now-playing">
+        {coverUrl && <img className="cover-art" src={coverUrl} alt="" />}
+        <div className="now-playing-text">
+          <h2>Now Playing: {fileName}</h2>
+          {(metadata.author || metadata.narrator) && (
+            <p className="book-credits">
+              {metadata.author && <span>by {metadata.author}</span>}
+              {metadata.author && metadata.narrator && ' · '}
+              {metadata.narrator && <span>read by {metadata.narrator}</span>}
+            </p>
+          )}
+        </div>
+      </div>
+      {chapters.length > 0 && (
+        <div className="chapter-indicator">
+          <span className="chapter-name">
+            {chapterTitle || 'Before the first chapter'}
+          </span>
+          <button
+            className="chapter-toggle"
+            onClick={() => setShowChapters(!showChapters)}
+            aria-expanded={showChapters}
+          >
+            Chapters ({chapters.length})
+          </button>
+        </div>
+      )}
+      {currentPart !== null && (
+        <p className="part-indicator">
+          Part {currentPart + 1} of {book.parts.length} · {book.parts[currentPart].name}
+        </p>
+      )}
+      
+      {showChapters && chapters.length > 0 && (
+        <ChapterList
+          chapters={chapters}
+          currentIndex={currentChapter}
+          onSelect={handleChapterSelect}
+          onClose={() => setShowChapters(false)}
+        />
+      )}
       
       {/* Time Display */}
       <div className="time-display">
-        <span className="current-time">{formatTime(currentTime)}</span>
-        <span className="duration">{formatTime(duration)}</span>
+        <span className="current-time">{formatTimestamp(currentTime)}</span>
+        {playbackRate !== 1 && (
+          <span className="remaining-at-speed">-{formatTimestamp(remainingAtSpeed)} at {playbackRate}x</span>
+        )}
+        <span className="duration">{formatTimestamp(duration)}</span>
       </div>
       
       {/* Progress Bar / Scrubber */}
       <div 
-        className="scrubber-container"
+        className={waveform ? 'scrubber-container has-waveform' : 'scrubber-container'}
         ref={scrubberRef}
         onClick={handleScrubberClick}
-        onMouseDown={handleMouseDown}
+        onPointerDown={handlePointerDown}
       >
+        {waveform && (
+          <svg
+            className="scrubber-waveform"
+            viewBox={`0 0 ${waveform.length} 100`}
+            preserveAspectRatio="none"
+            aria-hidden="true"
+          >
+            <defs>
+              <clipPath id="scrubber-waveform-played">
+                <rect x="0" y="0" height="100" width={(waveform.length * Math.max(0, Math.min(100, progressPercentage))) / 100} />
+              </clipPath>
+            </defs>
+            <path className="waveform-bars" d={waveformPath} />
+            <path className="waveform-bars played" d={waveformPath} clipPath="url(#scrubber-waveform-played)" />
+          </svg>
+        )}
         <div className="scrubber-track">
           <div 
             className="scrubber-progress"
             style={{ width: `${Math.max(0, Math.min(100, progressPercentage))}%` }}
           />
+          {book && book.isMultiPart && duration > 0 && book.parts.slice(1).map(part => (
+            <div
+              key={part.start}
+              className="part-boundary"
+              style={{ left: `${(part.start / duration) * 100}%` }}
+            />
+          ))}
           <div 
             className="scrubber-thumb"
             style={{ left: `${Math.max(0, Math.min(100, progressPercentage))}%` }}
           />
         </div>
+        {selection && duration > 0 && (
+          <div
+            className="scrubber-selection"
+            style={{
+              left: `${(selection.start / duration) * 100}%`,
+              width: `${((selection.end - selection.start) / duration) * 100}%`
+            }}
+          />
+        )}
+        {loopRegion && duration > 0 && (
+          <div
+            className={loop ? 'scrubber-loop active' : 'scrubber-loop'}
+            style={{
+              left: `${(loopRegion.start / duration) * 100}%`,
+              width: `${((loopRegion.end - loopRegion.start) / duration) * 100}%`
+            }}
+          />
+        )}
+        <div className="scrubber-markers">
+          {scrubberMarkers.map((marker, index) => {
+            const label = `${marker.label || MARKER_LABELS[marker.type]} · ${formatTimestamp(marker.time)}`;
+            return (
+              <button
+                key={`${marker.type}-${marker.time}-${index}`}
+                className={`scrubber-marker ${marker.type}`}
+                style={{ left: `${(marker.time / duration) * 100}%` }}
+                title={label}
+                aria-label={`Jump to ${label}`}
+                onPointerDown={(e) => e.stopPropagation()}
+                onClick={(e) => handleMarkerClick(e, marker)}
+              />
+            );
+          })}
+        </div>
       </div>
       
+      {isRangeMode && (
+        <RangeExplainPanel
+          selection={selection}
+          duration={duration}
+          onChange={setSelection}
+          onExplain={handleExplainRange}
+          onClear={closeRangeMode}
+          isExplaining={isExplaining}
+        />
+      )}
+      
+      {showLoop && onLoopStart && (
+        <LoopPanel
+          points={loopPoints}
+          onPointsChange={setLoopPoints}
+          loop={loop}
+          onStart={onLoopStart}
+          onStop={onLoopStop}
+          onExplain={handleExplainRange}
+          onClose={() => setShowLoop(false)}
+          isExplaining={isExplaining}
+        />
+      )}
+      
+      {showBookmarks && onBookmark && (
+        <BookmarkList
+          bookmarks={bookmarks}
+          editId={newBookmarkId}
+          onJump={seekTo}
+          onUpdate={onBookmarkUpdate}
+          onDelete={onBookmarkDelete}
+          onExplain={onBookmarkExplain}
+          explainingId={explainingBookmarkId}
+          onClose={() => setShowBookmarks(false)}
+        />
+      )}
+      
       <div className="controls">
+        <button
+          className="skip-button"
+          onClick={() => skipBy(-skipBackSeconds)}
+          disabled={isExplaining || !duration}
+          aria-label={`Skip back ${skipBackSeconds} seconds`}
+        >
+          ⟲ {skipBackSeconds}s
+        </button>
+        
         {!isPlaying ? (
           <button 
             onClick={() => onPlay()}
@@ -386,13 +691,57 @@ function AudioPlayer({
           </button>
         )}
         
+        <button
+          className="skip-button"
+          onClick={() => skipBy(skipForwardSeconds)}
+          disabled={isExplaining || !duration}
+          aria-label={`Skip forward ${skipForwardSeconds} seconds`}
+        >
+          {skipForwardSeconds}s ⟳
+        </button>
+        
         <button 
           onClick={onExplain}
           disabled={(!isPlaying && !fileName) || isExplaining}
         >
-          {isExplaining ? 'Explaining...' : 'Explain Last 10 Seconds'}
+          {isExplaining ? 'Explaining...' : `Explain Last ${formatExplainWindow(explainWindow)}`}
         </button>
         
+        {onExplainRange && (
+          <button
+            onClick={() => (isRangeMode ? closeRangeMode() : setIsRangeMode(true))}
+            disabled={!duration || isExplaining}
+            aria-pressed={isRangeMode}
+          >
+            {isRangeMode ? 'Cancel Selection' : 'Explain a Range...'}
+          </button>
+        )}
+        
+        {onBookmark && (
+          <button onClick={handleBookmarkClick} disabled={!duration}>
+            Bookmark
+          </button>
+        )}
+        
+        {onBookmark && (
+          <button
+            onClick={() => setShowBookmarks(!showBookmarks)}
+            aria-expanded={showBookmarks}
+          >
+            Bookmarks ({bookmarks.length})
+          </button>
+        )}
+        
+        {onLoopStart && (
+          <button
+            onClick={() => setShowLoop(!showLoop)}
+            disabled={!duration}
+            aria-pressed={showLoop}
+          >
+            {loop ? `A-B Loop · ${loop.pass}${loop.repeats ? `/${loop.repeats}` : ''}` : 'A-B Loop'}
+          </button>
+        )}
+        
         <button 
           onClick={onResume}
           disabled={isPlaying || !fileName || isExplaining}
@@ -402,12 +751,72 @@ function AudioPlayer({
         </button>
       </div>
       
+      <div className="playback-rate">
+        <label htmlFor="playback-rate-select">Speed</label>
+        <select
+          id="playback-rate-select"
+          value={playbackRate}
+          onChange={(e) => onPlaybackRateChange(Number(e.target.value))}
+          disabled={isExplaining}
+        >
+          {PLAYBACK_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate}x</option>
+          ))}
+        </select>
+      </div>
+      
+      <div className="audio-preset">
+        <label htmlFor="audio-preset-select">Sound</label>
+        <select
+          id="audio-preset-select"
+          value={audioPreset}
+          onChange={(e) => onAudioPresetChange(e.target.value)}
+        >
+          {Object.entries(AUDIO_PRESETS).map(([name, preset]) => (
+            <option key={name} value={name}>{preset.label}</option>
+          ))}
+        </select>
+      </div>
+      
+      <div className="explain-mode">
+        <label htmlFor="explain-mode-select">While explaining</label>
+        <select
+          id="explain-mode-select"
+          value={explainMode}
+          onChange={(e) => onExplainModeChange(e.target.value)}
+          disabled={isExplaining}
+        >
+          <option value="pause">Pause the book</option>
+          <option value="duck">Keep playing quietly</option>
+        </select>
+      </div>
+      
+      <div className="explain-window">
+        <label htmlFor="explain-window-input">
+          Explain window: <strong>{formatExplainWindow(explainWindow)}</strong>
+        </label>
+        <input
+          id="explain-window-input"
+          type="range"
+          min={MIN_EXPLAIN_WINDOW_SECONDS}
+          max={MAX_EXPLAIN_WINDOW_SECONDS}
+          step={5}
+          value={explainWindow}
+          onChange={(e) => onExplainWindowChange(Number(e.target.value))}
+          disabled={isExplaining}
+        />
+      </div>
+      
       <p className="instructions">
         Press "Explain" to have the AI explain what's happening in the audiobook.
         <br/>
-        <small>The audiobook will automatically resume after the explanation is read aloud.</small>
+        <small>
+          {explainMode === 'duck'
+            ? 'The audiobook keeps playing quietly while the explanation is read aloud.'
+            : 'The audiobook will automatically resume after the explanation is read aloud.'}
+        </small>
         <br/>
-        <small><strong>Car users:</strong> Press the back/previous button on your car stereo to trigger explanations.</small>
+        <small><strong>Car users:</strong> {explainButtonHint}</small>
       </p>
       
       {/* iOS PWA Debug Info */}
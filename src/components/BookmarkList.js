@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatTimestamp } from '../services/timeFormat';
+import './BookmarkList.css';
+
+function BookmarkList({ bookmarks, editId, onJump, onUpdate, onDelete, onExplain, explainingId, onClose }) {
+  console.log('[BookmarkList.js] Rendering bookmark list:', bookmarks.length);
+
+  const [editingId, setEditingId] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [confirmingId, setConfirmingId] = useState(null);
+  const handledEditId = useRef(null);
+
+  const startEditing = (bookmark) => {
+    setEditingId(bookmark.id);
+    setNoteText(bookmark.note);
+    setConfirmingId(null);
+  };
+
+  // A bookmark that was just added opens straight into note editing, once
+  useEffect(() => {
+    if (!editId || editId === handledEditId.current) return;
+    const added = bookmarks.find(bookmark => bookmark.id === editId);
+    if (added) {
+      handledEditId.current = editId;
+      setEditingId(added.id);
+      setNoteText(added.note);
+    }
+  }, [editId, bookmarks]);
+
+  const saveNote = () => {
+    onUpdate(editingId, { note: noteText.trim() });
+    setEditingId(null);
+  };
+
+  const handleNoteKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      saveNote();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (id) => {
+    setConfirmingId(null);
+    onDelete(id);
+  };
+
+  return (
+    <div className="bookmark-list" role="dialog" aria-label="Bookmarks">
+      <div className="bookmark-list-header">
+        <h3>Bookmarks</h3>
+        <button className="bookmark-list-close" onClick={onClose} aria-label="Close bookmarks">
+          ✕
+        </button>
+      </div>
+
+      {bookmarks.length === 0 ? (
+        <p className="bookmark-empty">No bookmarks yet. Press "Bookmark" to mark the current moment.</p>
+      ) : (
+        <ol>
+          {bookmarks.map(bookmark => (
+            <li key={bookmark.id} className="bookmark-item">
+              <div className="bookmark-heading">
+                <button className="bookmark-time" onClick={() => onJump(bookmark.time)} aria-label={`Jump to ${formatTimestamp(bookmark.time)}`}>
+                  {formatTimestamp(bookmark.time)}
+                </button>
+                {bookmark.chapterTitle && <span className="bookmark-chapter">{bookmark.chapterTitle}</span>}
+              </div>
+
+              {editingId === bookmark.id ? (
+                <div className="bookmark-edit">
+                  <textarea
+                    value={noteText}
+                    onChange={(e) => setNoteText(e.target.value)}
+                    onKeyDown={handleNoteKeyDown}
+                    placeholder="Add a note"
+                    rows={2}
+                    autoFocus
+                  />
+                  <div className="bookmark-actions">
+                    <button onClick={saveNote}>Save</button>
+                    <button onClick={() => setEditingId(null)}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                bookmark.note && <p className="bookmark-note">{bookmark.note}</p>
+              )}
+
+              {bookmark.explanation && (
+                <details className="bookmark-explanation">
+                  <summary>
+                    Explanation of {formatTimestamp(bookmark.explainedRange.start)}–{formatTimestamp(bookmark.explainedRange.end)}
+                  </summary>
+                  <p>{bookmark.explanation}</p>
+                  {bookmark.transcript && (
+                    <details className="bookmark-transcript">
+                      <summary>Transcript</summary>
+                      <p>{bookmark.transcript}</p>
+                    </details>
+                  )}
+                </details>
+              )}
+
+              {editingId !== bookmark.id && (
+                <div className="bookmark-actions">
+                  {confirmingId === bookmark.id ? (
+                    <>
+                      <button className="bookmark-delete-confirm" onClick={() => handleDelete(bookmark.id)}>Delete</button>
+                      <button onClick={() => setConfirmingId(null)}>Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => startEditing(bookmark)}>{bookmark.note ? 'Edit Note' : 'Add Note'}</button>
+                      {onExplain && (
+                        <button onClick={() => onExplain(bookmark.id)} disabled={Boolean(explainingId)}>
+                          {explainingId === bookmark.id
+                            ? 'Explaining...'
+                            : bookmark.explanation ? 'Explain Again' : 'Attach Explanation'}
+                        </button>
+                      )}
+                      <button onClick={() => setConfirmingId(bookmark.id)}>Delete</button>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default BookmarkList;
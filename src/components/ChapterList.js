@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatTimestamp } from '../services/timeFormat';
+import './ChapterList.css';
+
+function ChapterList({ chapters, currentIndex, onSelect, onClose }) {
+  console.log('[ChapterList.js] Rendering chapter list:', chapters.length);
+
+  return (
+    <div className="chapter-list" role="dialog" aria-label="Chapters">
+      <div className="chapter-list-header">
+        <h3>Chapters</h3>
+        <button className="chapter-list-close" onClick={onClose} aria-label="Close chapters">
+          ✕
+        </button>
+      </div>
+      <ol>
+        {chapters.map((chapter, index) => (
+          <li key={`${chapter.start}-${index}`}>
+            <button
+              className={index === currentIndex ? 'chapter-item current' : 'chapter-item'}
+              onClick={() => onSelect(index)}
+              aria-current={index === currentIndex ? 'true' : undefined}
+            >
+              <span className="chapter-title">{chapter.title}</span>
+              <span className="chapter-time">{formatTimestamp(chapter.start)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default ChapterList;
@@ -1,7 +1,7 @@
 import React, { useEffect, useState, useRef } from 'react';
 import './ExplanationDisplay.css';
 
-function ExplanationDisplay({ explanation, onSpeechEnd }) {
+function ExplanationDisplay({ explanation, onSpeechStart, onSpeechEnd }) {
   console.log('[ExplanationDisplay.js] Rendering explanation');
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [ttsMethod, setTtsMethod] = useState('google');
@@ -16,6 +16,14 @@ function ExplanationDisplay({ explanation, onSpeechEnd }) {
   // Get Google TTS API key from environment
   const GOOGLE_TTS_API_KEY = process.env.REACT_APP_GOOGLE_TTS_API_KEY;
   
+  // Lets the app duck the audiobook while the explanation is audible
+  const callSpeechStartCallback = () => {
+    console.log('[ExplanationDisplay.js] Calling speech start callback');
+    if (onSpeechStart) {
+      onSpeechStart();
+    }
+  };
+
   // Simple callback execution
   const callSpeechEndCallback = () => {
     console.log('[ExplanationDisplay.js] Calling speech end callback');
@@ -163,6 +171,7 @@ function ExplanationDisplay({ explanation, onSpeechEnd }) {
           await playPromise;
           console.log('[ExplanationDisplay.js] Google TTS started successfully');
         }
+        callSpeechStartCallback();
       } catch (playError) {
         console.error('[ExplanationDisplay.js] Play failed:', playError);
         if (isIOS && playError.name === 'NotAllowedError') {
@@ -210,6 +219,7 @@ function ExplanationDisplay({ explanation, onSpeechEnd }) {
       utterance.onstart = () => {
         console.log('[ExplanationDisplay.js] Browser speech started');
         setIsSpeaking(true);
+        callSpeechStartCallback();
         setRequiresUserInteraction(false);
       };
 
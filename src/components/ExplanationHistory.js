@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { searchExplanations } from '../services/explanationHistory';
+import { formatTimestamp } from '../services/timeFormat';
+import './ExplanationHistory.css';
+
+const SOURCE_LABELS = {
+  window: 'Explain',
+  range: 'Range',
+  bookmark: 'Bookmark'
+};
+
+const formatLatency = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+function ExplanationHistory({ entries, isLoading, currentBookId, onJump, onReplay, isReplayDisabled, onClose }) {
+  console.log('[ExplanationHistory.js] Rendering history:', entries.length);
+
+  const [query, setQuery] = useState('');
+  const [bookFilter, setBookFilter] = useState(currentBookId || 'all');
+  const [chapterFilter, setChapterFilter] = useState('');
+
+  // Books and chapters that actually have explanations
+  const books = [];
+  entries.forEach(entry => {
+    if (!books.some(book => book.id === entry.bookId)) {
+      books.push({ id: entry.bookId, title: entry.bookTitle });
+    }
+  });
+  const bookEntries = bookFilter === 'all' ? entries : entries.filter(entry => entry.bookId === bookFilter);
+  const chapters = [...new Set(bookEntries.map(entry => entry.chapterTitle).filter(Boolean))];
+
+  const handleBookFilterChange = (e) => {
+    setBookFilter(e.target.value);
+    setChapterFilter('');
+  };
+
+  const visible = searchExplanations(
+    chapterFilter ? bookEntries.filter(entry => entry.chapterTitle === chapterFilter) : bookEntries,
+    query
+  );
+
+  return (
+    <div className="explanation-history" role="dialog" aria-label="Explanation history">
+      <div className="history-header">
+        <h2>Explanation History</h2>
+        <button className="history-close" onClick={onClose} aria-label="Close history">
+          ✕
+        </button>
+      </div>
+
+      <div className="history-filters">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search explanations and transcripts"
+          aria-label="Search explanations"
+        />
+        <select value={bookFilter} onChange={handleBookFilterChange} aria-label="Filter by book">
+          <option value="all">All books</option>
+          {currentBookId && !books.some(book => book.id === currentBookId) && (
+            <option value={currentBookId}>Current book</option>
+          )}
+          {books.map(book => (
+            <option key={book.id} value={book.id}>{book.title}</option>
+          ))}
+        </select>
+        {chapters.length > 0 && (
+          <select value={chapterFilter} onChange={(e) => setChapterFilter(e.target.value)} aria-label="Filter by chapter">
+            <option value="">All chapters</option>
+            {chapters.map(chapter => (
+              <option key={chapter} value={chapter}>{chapter}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="history-empty">Loading…</p>
+      ) : visible.length === 0 ? (
+        <p className="history-empty">
+          {entries.length === 0 ? 'Explanations you ask for are kept here.' : 'No explanations match.'}
+        </p>
+      ) : (
+        <ol className="history-entries">
+          {visible.map(entry => {
+            const isCurrentBook = entry.bookId === currentBookId;
+            return (
+              <li key={entry.id} className="history-entry">
+                <div className="history-entry-heading">
+                  <span className="history-range">
+                    {formatTimestamp(entry.start)}–{formatTimestamp(entry.end)}
+                  </span>
+                  <span className="history-source">{SOURCE_LABELS[entry.source] || entry.source}</span>
+                  {entry.chapterTitle && <span className="history-chapter">{entry.chapterTitle}</span>}
+                </div>
+                {bookFilter === 'all' && <div className="history-book">{entry.bookTitle}</div>}
+
+                <p className="history-explanation">{entry.explanation}</p>
+                {entry.transcription && (
+                  <details className="history-transcript">
+                    <summary>Transcript</summary>
+                    <p>{entry.transcription}</p>
+                  </details>
+                )}
+
+                <div className="history-meta">
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.model && ` · ${entry.model}`}
+                  {entry.latencyMs && ` · ${formatLatency(entry.latencyMs.total)}`}
+                </div>
+
+                <div className="history-actions">
+                  <button
+                    onClick={() => onJump(entry)}
+                    disabled={!isCurrentBook}
+                    title={isCurrentBook ? undefined : 'Open this book to jump to it'}
+                  >
+                    Jump to This Moment
+                  </button>
+                  <button onClick={() => onReplay(entry)} disabled={isReplayDisabled}>
+                    Replay Explanation
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default ExplanationHistory;
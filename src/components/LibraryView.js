@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { getStorageEstimate, requestPersistentStorage } from '../services/libraryService';
+import { getSetting, setSetting } from '../services/settingsService';
+import { formatTimestamp } from '../services/timeFormat';
+import { formatFileSize } from '../services/fileBytes';
+import './LibraryView.css';
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const compareTitle = (a, b) => compareText(a.title, b.title);
+
+// Books without an author go last
+const compareAuthor = (a, b) => {
+  const authorA = a.metadata.author;
+  const authorB = b.metadata.author;
+  if (authorA && !authorB) return -1;
+  if (!authorA && authorB) return 1;
+  return (authorA ? compareText(authorA, authorB) : 0) || compareTitle(a, b);
+};
+
+const SORT_OPTIONS = {
+  recent: { label: 'Recently opened', compare: (a, b) => b.lastOpenedAt - a.lastOpenedAt },
+  added: { label: 'Recently added', compare: (a, b) => b.addedAt - a.addedAt },
+  title: { label: 'Title', compare: compareTitle },
+  author: { label: 'Author', compare: compareAuthor }
+};
+
+function LibraryView({ books, currentBookId, openingBookId, onOpen, onRemove }) {
+  console.log('[LibraryView.js] Rendering library with', books.length, 'books');
+
+  const [sortBy, setSortBy] = useState(() => {
+    const saved = getSetting('librarySort', 'recent');
+    return SORT_OPTIONS[saved] ? saved : 'recent';
+  });
+  const [coverUrls, setCoverUrls] = useState({});
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const [persistError, setPersistError] = useState('');
+
+  // Covers are blobs in IndexedDB; give each an object URL while the list is shown
+  useEffect(() => {
+    const urls = {};
+    books.forEach(book => {
+      if (book.metadata.cover) urls[book.id] = URL.createObjectURL(book.metadata.cover);
+    });
+    setCoverUrls(urls);
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+  }, [books]);
+
+  // Usage changes whenever books are added or removed
+  useEffect(() => {
+    let cancelled = false;
+    getStorageEstimate().then(result => {
+      if (!cancelled) setEstimate(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [books]);
+
+  const handleSortChange = (e) => {
+    setSortBy(e.target.value);
+    setSetting('librarySort', e.target.value);
+  };
+
+  const handlePersist = async () => {
+    setPersistError('');
+    try {
+      const persisted = await requestPersistentStorage();
+      setEstimate(previous => ({ ...previous, persisted }));
+      if (!persisted) {
+        setPersistError('The browser declined. Installing the app or using it more often can help.');
+      }
+    } catch (error) {
+      setPersistError(error.message);
+    }
+  };
+
+  const handleRemove = (id) => {
+    setConfirmingId(null);
+    onRemove(id);
+  };
+
+  const sorted = [...books].sort(SORT_OPTIONS[sortBy].compare);
+
+  return (
+    <div className="library-view">
+      <div className="library-header">
+        <h2>Library</h2>
+        {books.length > 1 && (
+          <label className="library-sort">
+            Sort by
+            <select value={sortBy} onChange={handleSortChange}>
+              {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+                <option key={value} value={value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {books.length === 0 ? (
+        <p className="library-empty">Books you open are kept here, so you can pick them up again after a reload.</p>
+      ) : (
+        <ul className="library-books">
+          {sorted.map(book => {
+            const isCurrent = book.id === currentBookId;
+            const credits = [book.metadata.author, book.metadata.narrator && `read by ${book.metadata.narrator}`].filter(Boolean).join(' · ');
+            return (
+              <li key={book.id} className={`library-book ${isCurrent ? 'current' : ''}`}>
+                {coverUrls[book.id]
+                  ? <img className="library-cover" src={coverUrls[book.id]} alt="" />
+                  : <div className="library-cover placeholder" aria-hidden="true">♪</div>}
+                <div className="library-book-info">
+                  <div className="library-book-title">{book.title}</div>
+                  {credits && <div className="library-book-credits">{credits}</div>}
+                  <div className="library-book-details">
+                    {formatTimestamp(book.duration)}
+                    {book.isMultiPart && ` · ${book.parts.length} parts`}
+                    {` · ${formatFileSize(book.size)}`}
+                    {book.storage === 'handle' && ' · linked file'}
+                  </div>
+                </div>
+                <div className="library-book-actions">
+                  {confirmingId === book.id ? (
+                    <>
+                      <button type="button" className="library-remove-confirm" onClick={() => handleRemove(book.id)}>Remove</button>
+                      <button type="button" onClick={() => setConfirmingId(null)}>Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        className="library-open"
+                        onClick={() => onOpen(book.id)}
+                        disabled={isCurrent || Boolean(openingBookId)}
+                      >
+                        {openingBookId === book.id ? 'Opening…' : isCurrent ? 'Current' : 'Open'}
+                      </button>
+                      <button type="button" onClick={() => setConfirmingId(book.id)} aria-label={`Remove ${book.title}`}>✕</button>
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {estimate && estimate.usage !== null && (
+        <div className="library-storage">
+          <span>
+            Using {formatFileSize(estimate.usage)}
+            {estimate.quota ? ` of ${formatFileSize(estimate.quota)}` : ''}
+            {estimate.persisted ? ' · kept when space runs low' : ''}
+          </span>
+          {estimate.persisted === false && (
+            <button type="button" onClick={handlePersist}>Keep library when space runs low</button>
+          )}
+        </div>
+      )}
+      {persistError && <p className="library-storage-error">{persistError}</p>}
+    </div>
+  );
+}
+
+export default LibraryView;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { MIN_EXPLAIN_WINDOW_SECONDS, MAX_EXPLAIN_RANGE_SECONDS, getCurrentPlaybackTime } from '../services/audioService';
+import { formatTimestamp } from '../services/timeFormat';
+import './LoopPanel.css';
+
+// How many times the section plays; null loops until stopped
+const REPEAT_OPTIONS = [2, 3, 5, 10, null];
+
+// Shortest loop worth wrapping; anything tighter just stutters
+const MIN_LOOP_SECONDS = 1;
+
+function LoopPanel({ points, onPointsChange, loop, onStart, onStop, onExplain, onClose, isExplaining }) {
+  console.log('[LoopPanel.js] Rendering loop panel', loop);
+
+  const [repeats, setRepeats] = useState(3);
+
+  const hasPoints = points.start !== null && points.end !== null;
+  const length = hasPoints ? points.end - points.start : 0;
+  const isValid = hasPoints && length >= MIN_LOOP_SECONDS;
+  const canExplain = hasPoints && length >= MIN_EXPLAIN_WINDOW_SECONDS && length <= MAX_EXPLAIN_RANGE_SECONDS;
+
+  // Setting a point while looping moves the running loop too
+  const setPoint = (key) => {
+    const next = { ...points, [key]: getCurrentPlaybackTime() };
+    if (next.start !== null && next.end !== null && next.start > next.end) {
+      [next.start, next.end] = [next.end, next.start];
+    }
+    onPointsChange(next);
+    if (loop && next.start !== null && next.end !== null && next.end - next.start >= MIN_LOOP_SECONDS) {
+      onStart({ start: next.start, end: next.end, repeats: loop.repeats });
+    }
+  };
+
+  const handleRepeatsChange = (value) => {
+    const nextRepeats = value === 'forever' ? null : Number(value);
+    setRepeats(nextRepeats);
+    if (loop) {
+      onStart({ start: loop.start, end: loop.end, repeats: nextRepeats });
+    }
+  };
+
+  return (
+    <div className="loop-panel">
+      <div className="loop-points">
+        <button className="loop-point" onClick={() => setPoint('start')} disabled={isExplaining}>
+          Set A{points.start !== null ? ` · ${formatTimestamp(points.start)}` : ''}
+        </button>
+        <button className="loop-point" onClick={() => setPoint('end')} disabled={isExplaining}>
+          Set B{points.end !== null ? ` · ${formatTimestamp(points.end)}` : ''}
+        </button>
+        <label className="loop-repeats">
+          Play
+          <select
+            value={repeats === null ? 'forever' : repeats}
+            onChange={(e) => handleRepeatsChange(e.target.value)}
+          >
+            {REPEAT_OPTIONS.map(option => (
+              <option key={option || 'forever'} value={option || 'forever'}>
+                {option ? `${option} times` : 'until stopped'}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      {hasPoints && !isValid && (
+        <p className="loop-error">The loop must be at least {MIN_LOOP_SECONDS} second long.</p>
+      )}
+      
+      {loop && (
+        <p className="loop-status">
+          Looping {formatTimestamp(loop.start)} – {formatTimestamp(loop.end)} · pass {loop.pass}
+          {loop.repeats ? ` of ${loop.repeats}` : ''}
+        </p>
+      )}
+      
+      <div className="loop-actions">
+        {loop ? (
+          <button className="loop-toggle" onClick={onStop}>
+            Stop Loop
+          </button>
+        ) : (
+          <button
+            className="loop-toggle"
+            onClick={() => onStart({ start: points.start, end: points.end, repeats })}
+            disabled={!isValid || isExplaining}
+          >
+            Start Loop
+          </button>
+        )}
+        <button
+          className="loop-explain"
+          onClick={() => onExplain(points.start, points.end)}
+          disabled={!canExplain || isExplaining}
+          title={hasPoints && !canExplain
+            ? `Loops between ${MIN_EXPLAIN_WINDOW_SECONDS} seconds and ${MAX_EXPLAIN_RANGE_SECONDS / 60} minutes can be explained`
+            : undefined}
+        >
+          {isExplaining ? 'Explaining...' : 'Explain This Loop'}
+        </button>
+        <button className="loop-close" onClick={onClose}>
+          Hide
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LoopPanel;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { listExplanations } from '../services/explanationHistory';
+import { EXPORT_FORMATS, collectNotes, downloadNotes } from '../services/notesExporter';
+import './NotesExporter.css';
+
+function NotesExporter({ book, bookmarks, onClose }) {
+  console.log('[NotesExporter.js] Rendering notes exporter for', book.title);
+
+  const chapters = book.chapters || [];
+  const [explanations, setExplanations] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [format, setFormat] = useState('markdown');
+  const [options, setOptions] = useState({
+    includeExplanations: true,
+    includeTranscripts: true,
+    includeBookmarks: true,
+    fromDate: '',
+    toDate: '',
+    fromChapter: null,
+    toChapter: null
+  });
+
+  // The book's explanations come from the history database
+  useEffect(() => {
+    let cancelled = false;
+    setExplanations(null);
+    setLoadError('');
+    listExplanations(book.id)
+      .then(entries => {
+        if (!cancelled) setExplanations(entries);
+      })
+      .catch(error => {
+        console.error('[NotesExporter.js] Could not load explanations:', error);
+        if (!cancelled) {
+          setLoadError(`Explanations could not be loaded (${error.message}); only bookmarks can be exported.`);
+          setExplanations([]);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [book]);
+
+  const updateOptions = (changes) => setOptions(previous => ({ ...previous, ...changes }));
+
+  // Keep the chapter range the right way round
+  const handleChapterChange = (field, value) => {
+    const index = value === '' ? null : Number(value);
+    const next = { ...options, [field]: index };
+    if (next.fromChapter !== null && next.toChapter !== null && next.fromChapter > next.toChapter) {
+      if (field === 'fromChapter') next.toChapter = index;
+      else next.fromChapter = index;
+    }
+    setOptions(next);
+  };
+
+  const notes = explanations ? collectNotes(book, { explanations, bookmarks }, options) : null;
+  const cardCount = notes
+    ? notes.explanations.length + notes.bookmarks.filter(bookmark => bookmark.explanation).length
+    : 0;
+  const itemCount = notes ? notes.explanations.length + notes.bookmarks.length : 0;
+  const isEmpty = format === 'anki' ? cardCount === 0 : itemCount === 0;
+
+  return (
+    <div className="notes-exporter" role="dialog" aria-label="Export notes">
+      <div className="exporter-header">
+        <h2>Export Notes</h2>
+        <button className="exporter-close" onClick={onClose} aria-label="Close export">
+          ✕
+        </button>
+      </div>
+
+      <div className="exporter-row">
+        <label htmlFor="export-format-select">Format</label>
+        <select id="export-format-select" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="exporter-row">
+        <span>Include</span>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.includeExplanations}
+            onChange={(e) => updateOptions({ includeExplanations: e.target.checked })}
+          />
+          Explanations
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.includeTranscripts}
+            onChange={(e) => updateOptions({ includeTranscripts: e.target.checked })}
+          />
+          Transcripts
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.includeBookmarks}
+            onChange={(e) => updateOptions({ includeBookmarks: e.target.checked })}
+          />
+          Bookmarks
+        </label>
+      </div>
+
+      <div className="exporter-row">
+        <span>Created</span>
+        <label>
+          from
+          <input type="date" value={options.fromDate} onChange={(e) => updateOptions({ fromDate: e.target.value })} />
+        </label>
+        <label>
+          to
+          <input type="date" value={options.toDate} onChange={(e) => updateOptions({ toDate: e.target.value })} />
+        </label>
+      </div>
+
+      {chapters.length > 0 && (
+        <div className="exporter-row">
+          <span>Chapters</span>
+          <label>
+            from
+            <select
+              value={options.fromChapter === null ? '' : options.fromChapter}
+              onChange={(e) => handleChapterChange('fromChapter', e.target.value)}
+            >
+              <option value="">Start of book</option>
+              {chapters.map((chapter, index) => (
+                <option key={`${chapter.start}-${index}`} value={index}>{chapter.title}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            to
+            <select
+              value={options.toChapter === null ? '' : options.toChapter}
+              onChange={(e) => handleChapterChange('toChapter', e.target.value)}
+            >
+              <option value="">End of book</option>
+              {chapters.map((chapter, index) => (
+                <option key={`${chapter.start}-${index}`} value={index}>{chapter.title}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {loadError && <p className="exporter-error">{loadError}</p>}
+
+      <div className="exporter-footer">
+        <span className="exporter-summary">
+          {!notes
+            ? 'Loading…'
+            : format === 'anki'
+              ? `${cardCount} card${cardCount === 1 ? '' : 's'} (bookmarks need an explanation to become a card)`
+              : `${notes.explanations.length} explanation${notes.explanations.length === 1 ? '' : 's'}, ${notes.bookmarks.length} bookmark${notes.bookmarks.length === 1 ? '' : 's'}`}
+        </span>
+        <button onClick={() => downloadNotes(book, notes, format)} disabled={!notes || isEmpty}>
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NotesExporter;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { MIN_EXPLAIN_WINDOW_SECONDS, MAX_EXPLAIN_RANGE_SECONDS, getCurrentPlaybackTime } from '../services/audioService';
+import { formatTimestamp, parseTimestamp } from '../services/timeFormat';
+import './RangeExplainPanel.css';
+
+function RangeExplainPanel({ selection, duration, onChange, onExplain, onClear, isExplaining }) {
+  console.log('[RangeExplainPanel.js] Rendering range panel', selection);
+
+  const [startText, setStartText] = useState('');
+  const [endText, setEndText] = useState('');
+  const [inputError, setInputError] = useState('');
+
+  // Dragging on the scrubber updates the typed fields
+  useEffect(() => {
+    setStartText(selection ? formatTimestamp(selection.start) : '');
+    setEndText(selection ? formatTimestamp(selection.end) : '');
+    setInputError('');
+  }, [selection]);
+
+  const updateSelection = (start, end) => {
+    const clampedStart = Math.max(0, Math.min(duration, start));
+    const clampedEnd = Math.max(0, Math.min(duration, end));
+    onChange({ start: Math.min(clampedStart, clampedEnd), end: Math.max(clampedStart, clampedEnd) });
+  };
+
+  const applyTypedRange = () => {
+    if (!startText.trim() || !endText.trim()) {
+      return;
+    }
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) {
+      setInputError('Use timestamps like 12:30 or 1:02:03');
+      return;
+    }
+    updateSelection(start, end);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      applyTypedRange();
+    }
+  };
+
+  const now = () => getCurrentPlaybackTime();
+  const length = selection ? selection.end - selection.start : 0;
+  const lengthError = !selection ? ''
+    : length < MIN_EXPLAIN_WINDOW_SECONDS ? `Select at least ${MIN_EXPLAIN_WINDOW_SECONDS} seconds`
+    : length > MAX_EXPLAIN_RANGE_SECONDS ? `Select at most ${MAX_EXPLAIN_RANGE_SECONDS / 60} minutes`
+    : '';
+
+  return (
+    <div className="range-panel">
+      <p className="range-hint">Drag across the progress bar, or type the start and end.</p>
+      <div className="range-fields">
+        <label>
+          From
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="0:00"
+            value={startText}
+            onChange={(e) => setStartText(e.target.value)}
+            onBlur={applyTypedRange}
+            onKeyDown={handleKeyDown}
+            disabled={isExplaining}
+          />
+        </label>
+        <button
+          className="range-now"
+          onClick={() => updateSelection(now(), selection ? selection.end : now())}
+          disabled={isExplaining}
+        >
+          Now
+        </button>
+        <label>
+          To
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="0:00"
+            value={endText}
+            onChange={(e) => setEndText(e.target.value)}
+            onBlur={applyTypedRange}
+            onKeyDown={handleKeyDown}
+            disabled={isExplaining}
+          />
+        </label>
+        <button
+          className="range-now"
+          onClick={() => updateSelection(selection ? selection.start : now(), now())}
+          disabled={isExplaining}
+        >
+          Now
+        </button>
+      </div>
+      {(inputError || lengthError) && <p className="range-error">{inputError || lengthError}</p>}
+      <div className="range-actions">
+        <button
+          className="range-explain"
+          onClick={() => onExplain(selection.start, selection.end)}
+          disabled={!selection || Boolean(lengthError) || isExplaining}
+        >
+          {isExplaining ? 'Explaining...' : `Explain Selection${selection ? ` (${formatTimestamp(length)})` : ''}`}
+        </button>
+        <button className="range-clear" onClick={onClear} disabled={isExplaining}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RangeExplainPanel;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { SKIP_INTERVALS, RESUME_REWIND_OPTIONS, HARDWARE_BUTTONS, BUTTON_ACTIONS } from '../services/controlSettings';
+import './SettingsPanel.css';
+
+function SettingsPanel({
+  skipBackSeconds,
+  skipForwardSeconds,
+  resumeRewindSeconds,
+  buttonMapping,
+  availableActions = BUTTON_ACTIONS.map(item => item.value),
+  onChange,
+  onClose
+}) {
+  console.log('[SettingsPanel.js] Rendering settings panel');
+
+  const actions = BUTTON_ACTIONS.filter(item => availableActions.includes(item.value));
+
+  const handleMappingChange = (button, value) => {
+    onChange({ buttonMapping: { ...buttonMapping, [button]: value } });
+  };
+
+  return (
+    <div className="settings-panel" role="dialog" aria-label="Settings">
+      <div className="settings-header">
+        <h2>Settings</h2>
+        <button className="settings-close" onClick={onClose} aria-label="Close settings">
+          ✕
+        </button>
+      </div>
+
+      <section className="settings-section">
+        <h3>Skip intervals</h3>
+        <div className="settings-row">
+          <label htmlFor="skip-back-select">Skip back</label>
+          <select
+            id="skip-back-select"
+            value={skipBackSeconds}
+            onChange={(e) => onChange({ skipBackSeconds: Number(e.target.value) })}
+          >
+            {SKIP_INTERVALS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds} seconds</option>
+            ))}
+          </select>
+        </div>
+        <div className="settings-row">
+          <label htmlFor="skip-forward-select">Skip forward</label>
+          <select
+            id="skip-forward-select"
+            value={skipForwardSeconds}
+            onChange={(e) => onChange({ skipForwardSeconds: Number(e.target.value) })}
+          >
+            {SKIP_INTERVALS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds} seconds</option>
+            ))}
+          </select>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h3>Resuming</h3>
+        <div className="settings-row">
+          <label htmlFor="resume-rewind-select">Rewind when reopening a book</label>
+          <select
+            id="resume-rewind-select"
+            value={resumeRewindSeconds}
+            onChange={(e) => onChange({ resumeRewindSeconds: Number(e.target.value) })}
+          >
+            {RESUME_REWIND_OPTIONS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds ? `${seconds} seconds` : 'Off'}</option>
+            ))}
+          </select>
+        </div>
+        <p className="settings-hint">
+          Your place in each book is saved as you listen and restored when you open it again.
+        </p>
+      </section>
+
+      <section className="settings-section">
+        <h3>Headphone, lock screen and car buttons</h3>
+        {HARDWARE_BUTTONS.map(({ action, label }) => (
+          <div className="settings-row" key={action}>
+            <label htmlFor={`button-${action}`}>{label}</label>
+            <select
+              id={`button-${action}`}
+              value={buttonMapping[action]}
+              onChange={(e) => handleMappingChange(action, e.target.value)}
+            >
+              {actions.map(item => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <p className="settings-hint">
+          "Skip" jumps back for previous/seek back and forward for next/seek forward, using the intervals above.
+        </p>
+      </section>
+    </div>
+  );
+}
+
+export default SettingsPanel;
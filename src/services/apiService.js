@@ -1,4 +1,6 @@
 // iOS-Compatible API Service - Handles communication with OpenAI API
+import { formatTimestamp } from './timeFormat';
+
 console.log('[apiService.js] Loading iOS-compatible API service');
 
 // Get API key from environment variables
@@ -12,25 +14,44 @@ if (!API_KEY) {
 // iOS detection
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
 
+// Models used for each step; returned with every explanation so history records what produced it
+export const TRANSCRIPTION_MODEL = 'whisper-1';
+export const EXPLANATION_MODEL = 'gpt-3.5-turbo';
+
 /**
  * Process audio data and get explanation from OpenAI
  * @param {Object} audioData - The recorded audio data object
  * @param {string} fileName - Name of the audiobook file
- * @returns {Promise<Object>} - The explanation response
+ * @param {Object} [context] - Where the passage is in the book, e.g. { title, author, narrator, chapterTitle, range }
+ * @returns {Promise<Object>} - { transcription, explanation, transcriptionModel, model, latencyMs: { transcription, explanation, total } }
  */
-export const processAudioAndGetExplanation = async (audioData, fileName) => {
+export const processAudioAndGetExplanation = async (audioData, fileName, context = {}) => {
   console.log('[apiService.js] Processing audio and getting explanation for iOS:', isIOS);
   
   try {
+    const startTime = Date.now();
+    
     // First transcribe the audio using Whisper API
     const transcription = await transcribeAudio(audioData);
+    const transcribedTime = Date.now();
     console.log('[apiService.js] Audio transcribed successfully');
     
     // Then get explanation from ChatGPT API
-    const explanation = await getExplanation(transcription, fileName);
+    const explanation = await getExplanation(transcription, fileName, context);
+    const endTime = Date.now();
     console.log('[apiService.js] Explanation received successfully');
     
-    return { transcription, explanation };
+    return {
+      transcription,
+      explanation,
+      transcriptionModel: TRANSCRIPTION_MODEL,
+      model: EXPLANATION_MODEL,
+      latencyMs: {
+        transcription: transcribedTime - startTime,
+        explanation: endTime - transcribedTime,
+        total: endTime - startTime
+      }
+    };
   } catch (error) {
     console.error('[apiService.js] Error processing audio:', error);
     throw error;
@@ -39,7 +60,7 @@ export const processAudioAndGetExplanation = async (audioData, fileName) => {
 
 /**
  * Transcribe audio using OpenAI's Whisper API with iOS optimizations
- * @param {Object} audioData - The audio data object containing blob and metadata
+ * @param {Object} audioData - The audio data object containing blob and metadata (always 16 kHz mono WAV from audioEncoder)
  * @returns {Promise<string>} - The transcription text
  */
 export const transcribeAudio = async (audioData) => {
@@ -80,36 +101,10 @@ export const transcribeAudio = async (audioData) => {
     // Create FormData
     const formData = new FormData();
     
-    // iOS-specific filename handling
-    const fileExtension = filename.split('.').pop().toLowerCase();
-    const supportedExtensions = ['flac', 'm4a', 'mp3', 'mp4', 'mpeg', 'mpga', 'oga', 'ogg', 'wav', 'webm'];
-    
-    // iOS Safari typically produces MP4/AAC, so handle that properly
-    let finalExtension = fileExtension;
-    let finalMimeType = mimeType;
-    
-    if (isIOS) {
-      // iOS MediaRecorder typically produces MP4 container with AAC audio
-      if (mimeType.includes('mp4') || !supportedExtensions.includes(fileExtension)) {
-        finalExtension = 'mp4';
-        finalMimeType = 'audio/mp4';
-      }
-    } else {
-      // Desktop fallback
-      if (!supportedExtensions.includes(fileExtension)) {
-        finalExtension = 'webm';
-        finalMimeType = 'audio/webm';
-      }
-    }
-    
-    const finalFilename = `audio.${finalExtension}`;
-    
-    console.log(`[apiService.js] Using filename: ${finalFilename}, MIME type: ${finalMimeType}`);
-    
-    // Create a file object with the correct extension and MIME type
-    const file = new File([audioBlob], finalFilename, { type: finalMimeType });
+    // Clips are encoded by audioEncoder, so the filename and MIME type are already correct
+    const file = new File([audioBlob], filename, { type: mimeType });
     formData.append('file', file);
-    formData.append('model', 'whisper-1');
+    formData.append('model', TRANSCRIPTION_MODEL);
     
     // Optional: Add language hint for better accuracy
     // formData.append('language', 'en');
@@ -151,17 +146,7 @@ export const transcribeAudio = async (audioData) => {
           const errorData = JSON.parse(rawResponse);
           console.error('[apiService.js] Whisper API error data:', errorData);
           
-          // iOS-specific error handling
           if (errorData.error) {
-            if (errorData.error.message.includes('Invalid file format') || 
-                errorData.error.message.includes('Unsupported file type')) {
-              throw new Error(`iOS Audio Format Error: ${errorData.error.message}. 
-                Device: ${isIOS ? 'iOS' : 'Desktop'}, 
-                MIME: ${finalMimeType}, 
-                Extension: ${finalExtension},
-                Original MIME: ${mimeType}`);
-            }
-            
             if (errorData.error.message.includes('file size')) {
               throw new Error(`File size error: ${errorData.error.message}. Size: ${audioBlob.size} bytes`);
             }
@@ -216,21 +201,6 @@ export const transcribeAudio = async (audioData) => {
     }
   } catch (error) {
     console.error('[apiService.js] Error transcribing audio:', error);
-    
-    // Add iOS-specific debugging info to errors
-    if (isIOS && error.message.includes('format')) {
-      const debugInfo = {
-        isIOS: true,
-        userAgent: navigator.userAgent,
-        blobSize: audioData.audioBlob.size,
-        mimeType: audioData.mimeType,
-        filename: audioData.filename
-      };
-      console.error('[apiService.js] iOS Debug Info:', debugInfo);
-      
-      error.message += `\n\nDEBUG INFO: ${JSON.stringify(debugInfo)}`;
-    }
-    
     throw error;
   }
 };
@@ -239,9 +209,10 @@ export const transcribeAudio = async (audioData) => {
  * Get explanation from OpenAI's ChatGPT API
  * @param {string} transcription - The transcribed text
  * @param {string} fileName - Name of the audiobook file
+ * @param {Object} [context] - Where the passage is in the book, e.g. { title, author, narrator, chapterTitle, range }
  * @returns {Promise<string>} - The explanation text
  */
-export const getExplanation = async (transcription, fileName) => {
+export const getExplanation = async (transcription, fileName, context = {}) => {
   console.log('[apiService.js] Getting explanation from ChatGPT API');
   
   try {
@@ -254,13 +225,19 @@ export const getExplanation = async (transcription, fileName) => {
       throw new Error('Cannot generate explanation: transcription is empty');
     }
     
-    // Extract book title from filename (remove extension)
-    const bookTitle = fileName.replace(/\.[^/.]+$/, "");
+    // Tagged title when there is one, otherwise the filename without its extension
+    const bookTitle = context.title || fileName.replace(/\.[^/.]+$/, "");
+    const authorLine = context.author ? `\nAuthor: ${context.author}` : '';
+    const narratorLine = context.narrator ? `\nNarrated by: ${context.narrator}` : '';
+    const chapterLine = context.chapterTitle ? `\nChapter: "${context.chapterTitle}"` : '';
+    const rangeLine = context.range
+      ? `\nSection: ${formatTimestamp(context.range.start)} to ${formatTimestamp(context.range.end)} (selected by the listener)`
+      : '';
     
     // Enhanced prompt for better explanations
     const prompt = `You are explaining an audiobook passage to help someone understand it better. 
 
-Audiobook: "${bookTitle}"
+Audiobook: "${bookTitle}"${authorLine}${narratorLine}${chapterLine}${rangeLine}
 Passage: "${transcription}"
 
 Please provide a clear, helpful explanation of what's happening in this passage. Keep it concise but informative, focusing on:
@@ -282,7 +259,7 @@ Explanation:`;
         'Authorization': `Bearer ${API_KEY}`
       },
       body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
+        model: EXPLANATION_MODEL,
         messages: [
           { 
             role: 'system', 
@@ -0,0 +1,303 @@
+// Audio Book - Treats a single file or an ordered set of part files as one continuous book
+import { readMetadata } from './metadataReader';
+import { detectAudioFormat } from './formatDetector';
+import { decodeRange, getRangeDecodableDuration } from './rangeDecoder';
+import { getBookId } from './settingsService';
+
+console.log('[audioBook.js] Loading audio book service');
+
+/**
+ * Path used for ordering and titles; folder imports carry the relative path
+ * @param {File} file - Part file
+ * @returns {string}
+ */
+export const getPartPath = (file) => file.webkitRelativePath || file.name;
+
+/**
+ * Give a file the folder path the folder picker would have, for files that
+ * come from dropped folders or the library
+ * @param {File} file - Part file
+ * @param {string} path - Path relative to the picked folder, e.g. "Book/Part 01.mp3"
+ * @returns {File} - The same file
+ */
+export const setPartPath = (file, path) => {
+  if (path && path.includes('/') && file.webkitRelativePath !== path) {
+    Object.defineProperty(file, 'webkitRelativePath', { value: path, configurable: true });
+  }
+  return file;
+};
+
+// Natural order: "Part 2" before "Part 10"
+const naturalCompare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Order part files by track number when every part has a distinct one,
+ * otherwise by natural filename order
+ * @param {File[]} files - Unordered part files
+ * @param {Array<number|null>} trackNumbers - Tagged track number of each file
+ * @returns {File[]}
+ */
+export const sortParts = (files, trackNumbers) => {
+  const allNumbered = trackNumbers.every(track => track !== null) && new Set(trackNumbers).size === trackNumbers.length;
+
+  const entries = files.map((file, index) => ({ file, track: trackNumbers[index] }));
+  entries.sort((a, b) => {
+    if (allNumbered) return a.track - b.track;
+    return naturalCompare(getPartPath(a.file), getPartPath(b.file));
+  });
+
+  console.log('[audioBook.js] Parts ordered by', allNumbered ? 'track number' : 'filename');
+  return entries.map(entry => entry.file);
+};
+
+// Duration as the browser will play it, so part boundaries line up with the media elements
+const probeDuration = (file) => {
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    const url = URL.createObjectURL(file);
+    const finish = (duration) => {
+      URL.revokeObjectURL(url);
+      audio.removeAttribute('src');
+      resolve(duration);
+    };
+
+    audio.preload = 'metadata';
+    audio.addEventListener('loadedmetadata', () => finish(audio.duration), { once: true });
+    audio.addEventListener('error', () => finish(NaN), { once: true });
+    audio.src = url;
+  });
+};
+
+const getPartDuration = async (file) => {
+  const duration = await probeDuration(file);
+  if (isFinite(duration) && duration > 0) {
+    return duration;
+  }
+  const parsed = await getRangeDecodableDuration(file);
+  if (parsed) {
+    return parsed;
+  }
+  throw new Error(`Could not read the duration of "${file.name}"`);
+};
+
+/**
+ * Title for a book without a tagged title: the folder name for folder imports,
+ * otherwise the shared start of the part names
+ * @param {File[]} parts - Ordered part files
+ * @returns {string}
+ */
+export const getBookTitle = (parts) => {
+  const first = parts[0];
+  if (parts.length === 1) {
+    return first.name;
+  }
+
+  const folders = getPartPath(first).split('/');
+  if (folders.length > 1) {
+    return folders[folders.length - 2];
+  }
+
+  let prefix = first.name;
+  for (const part of parts) {
+    while (prefix && !part.name.startsWith(prefix)) {
+      prefix = prefix.slice(0, -1);
+    }
+  }
+  prefix = prefix.replace(/[\s\-_.(]*(part|track|chapter|cd|disc)?[\s\-_]*\d*$/i, '').trim();
+  return prefix || first.name.replace(/\.[^.]+$/, '');
+};
+
+// Tagged chapters on the book timeline; a multi-part book without any uses one chapter per part
+const buildChapters = (parts, tags, duration) => {
+  const chapters = [];
+
+  parts.forEach((part, index) => {
+    tags[index].chapters
+      .filter(chapter => chapter.start < part.duration)
+      .forEach(chapter => chapters.push({ title: chapter.title, start: part.start + chapter.start }));
+  });
+
+  if (!chapters.length && parts.length > 1) {
+    parts.forEach((part, index) => {
+      chapters.push({ title: tags[index].title || part.name.replace(/\.[^.]+$/, ''), start: part.start });
+    });
+  }
+
+  return chapters.map((chapter, index) => ({
+    title: chapter.title || `Chapter ${index + 1}`,
+    start: chapter.start,
+    end: index + 1 < chapters.length ? chapters[index + 1].start : duration
+  }));
+};
+
+// Book-level tags. Per-part titles of a multi-part book are usually track names, so the album wins there.
+const buildMetadata = (tags) => {
+  const first = (field) => (tags.find(tag => tag[field]) || {})[field] || null;
+
+  return {
+    title: tags.length > 1 ? first('album') || first('title') : first('title') || first('album'),
+    author: first('author'),
+    narrator: first('narrator'),
+    cover: first('cover')
+  };
+};
+
+/**
+ * Build a book from one or more audio files. Parts are ordered, measured and
+ * laid out on one continuous timeline.
+ * @param {File[]|File} files - The book's files
+ * @param {Object} [options] - { onProgress } called with { stage, fileName, completed, total } as each stage starts and each file finishes it
+ * @returns {Promise<Object>} - { id, title, metadata: { title, author, narrator, cover }, parts: [{ file, name, start, duration, format }], chapters: [{ title, start, end }], duration, size, isMultiPart }
+ */
+export const createAudioBook = async (files, { onProgress } = {}) => {
+  const list = Array.isArray(files) ? files : [files];
+  if (!list.length) {
+    throw new Error('No audio files selected');
+  }
+
+  // Every file goes through three stages: checking its format, reading its tags and measuring it
+  const total = list.length * 3;
+  let completed = 0;
+  const report = (stage, fileName = null) => {
+    if (onProgress) onProgress({ stage, fileName, completed, total });
+  };
+  const step = (stage, task) => {
+    report(stage);
+    return async (file) => {
+      const result = await task(file);
+      completed++;
+      report(stage, file.name);
+      return result;
+    };
+  };
+
+  // Reject DRM and undecodable files up front with a precise reason instead of a failed playback later
+  const formats = await Promise.all(list.map(step('checking', detectAudioFormat)));
+  const rejected = formats.find(format => format.error);
+  if (rejected) {
+    throw new Error(rejected.error);
+  }
+
+  const listTags = await Promise.all(list.map(step('reading', readMetadata)));
+  const ordered = list.length > 1 ? sortParts(list, listTags.map(tag => tag.trackNumber)) : list;
+  const tags = ordered.map(file => listTags[list.indexOf(file)]);
+  const parts = [];
+  let start = 0;
+
+  const measure = step('measuring', getPartDuration);
+  for (const file of ordered) {
+    const duration = await measure(file);
+    const { container, codec, label } = formats[list.indexOf(file)];
+    parts.push({ file, name: file.name, start, duration, format: { container, codec, label } });
+    start += duration;
+  }
+
+  const size = ordered.reduce((sum, file) => sum + file.size, 0);
+  const fileTitle = getBookTitle(ordered);
+  const metadata = buildMetadata(tags);
+
+  const book = {
+    // Single-file books keep their old id so saved settings carry over
+    id: parts.length === 1 ? getBookId(ordered[0]) : `${fileTitle}:${parts.length}:${size}`,
+    title: metadata.title || fileTitle,
+    metadata,
+    parts,
+    chapters: buildChapters(parts, tags, start),
+    duration: start,
+    size,
+    isMultiPart: parts.length > 1
+  };
+
+  console.log('[audioBook.js] Book created', {
+    title: book.title,
+    parts: parts.length,
+    author: metadata.author,
+    chapters: book.chapters.length,
+    duration: book.duration
+  });
+
+  return book;
+};
+
+/**
+ * Index of the part playing at a book position
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Position in book seconds
+ * @returns {number}
+ */
+export const findPartIndex = (book, time) => {
+  for (let i = book.parts.length - 1; i > 0; i--) {
+    if (time >= book.parts[i].start) return i;
+  }
+  return 0;
+};
+
+/**
+ * Index of the chapter playing at a book position
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Position in book seconds
+ * @returns {number} - -1 when the book has no chapters or the position is before the first one
+ */
+export const findChapterIndex = (book, time) => {
+  const chapters = (book && book.chapters) || [];
+  for (let i = chapters.length - 1; i >= 0; i--) {
+    if (time >= chapters[i].start) return i;
+  }
+  return -1;
+};
+
+/**
+ * Title of the chapter playing at a book position
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Position in book seconds
+ * @returns {string|null}
+ */
+export const getChapterTitle = (book, time) => {
+  const index = findChapterIndex(book, time);
+  return index >= 0 ? book.chapters[index].title : null;
+};
+
+/**
+ * Decode [startTime, endTime] of a book, stitching across part boundaries
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} startTime - Range start in book seconds
+ * @param {number} endTime - Range end in book seconds
+ * @param {BaseAudioContext} [context] - Context to decode with
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeBookRange = async (book, startTime, endTime, context) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const decodeContext = context || new OfflineContext(1, 1, 44100);
+  const buffers = [];
+
+  for (const part of book.parts) {
+    const partEnd = part.start + part.duration;
+    if (partEnd <= startTime || part.start >= endTime) continue;
+
+    const from = Math.max(0, startTime - part.start);
+    const to = Math.min(part.duration, endTime - part.start);
+    buffers.push(await decodeRange(part.file, from, to, decodeContext));
+  }
+
+  if (!buffers.length) {
+    throw new Error('Requested range is outside the audio');
+  }
+  if (buffers.length === 1) {
+    return buffers[0];
+  }
+
+  // Parts can differ in channel count; stitch at the smallest common layout
+  const channels = Math.min(...buffers.map(buffer => buffer.numberOfChannels));
+  const length = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+  const joined = decodeContext.createBuffer(channels, length, buffers[0].sampleRate);
+
+  let offset = 0;
+  for (const buffer of buffers) {
+    for (let c = 0; c < channels; c++) {
+      joined.getChannelData(c).set(buffer.getChannelData(c), offset);
+    }
+    offset += buffer.length;
+  }
+
+  return joined;
+};
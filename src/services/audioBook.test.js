@@ -0,0 +1,59 @@
+import { sortParts, getBookTitle, setPartPath } from './audioBook';
+import { fileOf } from './byteFixtures';
+
+const names = (files) => files.map(file => file.name);
+const partsNamed = (...fileNames) => fileNames.map(name => fileOf([], name));
+
+test('sortParts orders part names naturally so "Part 2" comes before "Part 10"', () => {
+  const files = partsNamed('Part 10.mp3', 'Part 2.mp3', 'part 1.mp3', 'Part 11.mp3', 'Part 9.mp3');
+
+  expect(names(sortParts(files, files.map(() => null)))).toEqual([
+    'part 1.mp3', 'Part 2.mp3', 'Part 9.mp3', 'Part 10.mp3', 'Part 11.mp3'
+  ]);
+});
+
+test('sortParts orders by track number when every part has a distinct one', () => {
+  const files = partsNamed('b.mp3', 'a.mp3', 'c.mp3');
+
+  expect(names(sortParts(files, [2, 3, 1]))).toEqual(['c.mp3', 'b.mp3', 'a.mp3']);
+});
+
+test('sortParts falls back to filenames when track numbers are missing or repeated', () => {
+  const files = partsNamed('Disc 2.mp3', 'Disc 1.mp3', 'Disc 3.mp3');
+
+  expect(names(sortParts(files, [1, 1, 2]))).toEqual(['Disc 1.mp3', 'Disc 2.mp3', 'Disc 3.mp3']);
+  expect(names(sortParts(files, [3, null, 1]))).toEqual(['Disc 1.mp3', 'Disc 2.mp3', 'Disc 3.mp3']);
+});
+
+test('sortParts orders folder imports by their relative path', () => {
+  const files = [
+    setPartPath(fileOf([], '01.mp3'), 'Book/CD 2/01.mp3'),
+    setPartPath(fileOf([], '02.mp3'), 'Book/CD 1/02.mp3'),
+    setPartPath(fileOf([], '01.mp3'), 'Book/CD 1/01.mp3')
+  ];
+
+  expect(sortParts(files, [null, null, null]).map(file => file.webkitRelativePath)).toEqual([
+    'Book/CD 1/01.mp3', 'Book/CD 1/02.mp3', 'Book/CD 2/01.mp3'
+  ]);
+});
+
+test('getBookTitle uses the shared start of the part names without the part numbering', () => {
+  expect(getBookTitle(partsNamed('Dune - Part 01.mp3', 'Dune - Part 02.mp3', 'Dune - Part 10.mp3'))).toBe('Dune');
+  expect(getBookTitle(partsNamed('Emma_Chapter1.m4a', 'Emma_Chapter2.m4a'))).toBe('Emma');
+  expect(getBookTitle(partsNamed('Persuasion (CD1).mp3', 'Persuasion (CD2).mp3'))).toBe('Persuasion');
+});
+
+test('getBookTitle falls back to the first name when the parts share nothing but numbering', () => {
+  expect(getBookTitle(partsNamed('Part 1.mp3', 'Part 2.mp3'))).toBe('Part 1');
+  expect(getBookTitle(partsNamed('alpha.mp3', 'beta.mp3'))).toBe('alpha');
+});
+
+test('getBookTitle uses the folder name for folder imports and the file name for single files', () => {
+  const parts = [
+    setPartPath(fileOf([], 'Part 1.mp3'), 'Library/Middlemarch/Part 1.mp3'),
+    setPartPath(fileOf([], 'Part 2.mp3'), 'Library/Middlemarch/Part 2.mp3')
+  ];
+
+  expect(getBookTitle(parts)).toBe('Middlemarch');
+  expect(getBookTitle(partsNamed('Walden.m4b'))).toBe('Walden.m4b');
+});
@@ -0,0 +1,169 @@
+// Audio Effects - Voice clarity chain (EQ, compressor, loudness normalization) for playback
+import { measureLevelDb } from './speechDetector';
+
+console.log('[audioEffects.js] Loading audio effects');
+
+// Books are normalized towards this gated RMS level
+const TARGET_LOUDNESS_DB = -20;
+const MAX_NORMALIZATION_BOOST_DB = 12;
+const MAX_NORMALIZATION_CUT_DB = -6;
+
+// Gated loudness: 400 ms blocks, ignoring silence and blocks far below the average
+const LOUDNESS_BLOCK_SECONDS = 0.4;
+const ABSOLUTE_GATE_DB = -60;
+const RELATIVE_GATE_DB = -10;
+
+// Parameter changes glide over this time constant so switching presets never clicks
+const PARAMETER_SMOOTHING_SECONDS = 0.05;
+
+/**
+ * Processing presets. Each one sets the whole chain so switching is predictable.
+ * highpassHz removes rumble, lowShelf takes out boominess, presence lifts the
+ * consonant range where intelligibility lives, and the compressor evens out the narration.
+ */
+export const AUDIO_PRESETS = {
+  off: {
+    label: 'Off',
+    highpassHz: 10,
+    lowShelf: { frequency: 200, gain: 0 },
+    presence: { frequency: 3000, gain: 0, q: 1 },
+    compressor: { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25 },
+    outputGainDb: 0,
+    normalize: false
+  },
+  headphones: {
+    label: 'Headphones',
+    highpassHz: 60,
+    lowShelf: { frequency: 200, gain: -1 },
+    presence: { frequency: 3000, gain: 2, q: 0.9 },
+    compressor: { threshold: -24, knee: 12, ratio: 2, attack: 0.01, release: 0.25 },
+    outputGainDb: 0,
+    normalize: true
+  },
+  car: {
+    label: 'Car',
+    highpassHz: 100,
+    lowShelf: { frequency: 220, gain: -4 },
+    presence: { frequency: 2800, gain: 5, q: 0.8 },
+    compressor: { threshold: -32, knee: 8, ratio: 4, attack: 0.005, release: 0.2 },
+    outputGainDb: 4,
+    normalize: true
+  },
+  night: {
+    label: 'Night',
+    highpassHz: 80,
+    lowShelf: { frequency: 200, gain: -3 },
+    presence: { frequency: 3200, gain: 3, q: 1 },
+    compressor: { threshold: -40, knee: 6, ratio: 8, attack: 0.003, release: 0.15 },
+    outputGainDb: -2,
+    normalize: true
+  }
+};
+
+export const DEFAULT_AUDIO_PRESET = 'off';
+
+// Unknown names fall back to the flat preset
+export const getAudioPreset = (name) => AUDIO_PRESETS[name] || AUDIO_PRESETS[DEFAULT_AUDIO_PRESET];
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+const setParam = (context, param, value) => {
+  param.setTargetAtTime(value, context.currentTime, PARAMETER_SMOOTHING_SECONDS);
+};
+
+/**
+ * Build the playback processing chain: highpass → low shelf → presence → compressor → gain
+ * @param {AudioContext} context - The playback context
+ * @returns {Object} - { input, output, apply(presetName, loudnessDb), disconnect() }
+ */
+export const createEffectsChain = (context) => {
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.Q.value = 0.7;
+
+  const lowShelf = context.createBiquadFilter();
+  lowShelf.type = 'lowshelf';
+
+  const presence = context.createBiquadFilter();
+  presence.type = 'peaking';
+
+  const compressor = context.createDynamicsCompressor();
+  const output = context.createGain();
+
+  highpass.connect(lowShelf);
+  lowShelf.connect(presence);
+  presence.connect(compressor);
+  compressor.connect(output);
+
+  const apply = (presetName, loudnessDb = null) => {
+    const preset = getAudioPreset(presetName);
+
+    setParam(context, highpass.frequency, preset.highpassHz);
+    setParam(context, lowShelf.frequency, preset.lowShelf.frequency);
+    setParam(context, lowShelf.gain, preset.lowShelf.gain);
+    setParam(context, presence.frequency, preset.presence.frequency);
+    setParam(context, presence.gain, preset.presence.gain);
+    setParam(context, presence.Q, preset.presence.q);
+
+    const { threshold, knee, ratio, attack, release } = preset.compressor;
+    setParam(context, compressor.threshold, threshold);
+    setParam(context, compressor.knee, knee);
+    setParam(context, compressor.ratio, ratio);
+    setParam(context, compressor.attack, attack);
+    setParam(context, compressor.release, release);
+
+    const normalizationDb = preset.normalize ? getNormalizationGainDb(loudnessDb) : 0;
+    setParam(context, output.gain, dbToGain(preset.outputGainDb + normalizationDb));
+
+    return { preset: presetName, normalizationDb };
+  };
+
+  const disconnect = () => {
+    [highpass, lowShelf, presence, compressor, output].forEach(node => node.disconnect());
+  };
+
+  return { input: highpass, output, apply, disconnect };
+};
+
+/**
+ * Gain that brings a book measured at loudnessDb to the target level
+ * @param {number|null} loudnessDb - Measured book loudness, or null when unknown
+ * @returns {number} - Gain in dB, limited so quiet noise is not blown up
+ */
+export const getNormalizationGainDb = (loudnessDb) => {
+  if (loudnessDb === null || loudnessDb === undefined || !isFinite(loudnessDb)) {
+    return 0;
+  }
+  const gain = TARGET_LOUDNESS_DB - loudnessDb;
+  return Math.max(MAX_NORMALIZATION_CUT_DB, Math.min(MAX_NORMALIZATION_BOOST_DB, gain));
+};
+
+/**
+ * Gated loudness of a stretch of audio, in the spirit of EBU R128 without K-weighting.
+ * Silent blocks and blocks well below the average are ignored so chapter gaps
+ * do not make a book look quieter than it sounds.
+ * @param {Float32Array[]} sections - Mono PCM sections sampled from the book
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} - Loudness in dBFS, or null if everything was silent
+ */
+export const measureLoudnessDb = (sections, sampleRate) => {
+  const blockSize = Math.max(1, Math.round(sampleRate * LOUDNESS_BLOCK_SECONDS));
+  const blocks = [];
+
+  for (const samples of sections) {
+    for (let start = 0; start + blockSize <= samples.length; start += blockSize) {
+      const level = measureLevelDb(samples, start, start + blockSize);
+      if (level > ABSOLUTE_GATE_DB) {
+        blocks.push(level);
+      }
+    }
+  }
+
+  if (!blocks.length) return null;
+
+  const meanPower = (levels) => levels.reduce((sum, level) => sum + Math.pow(10, level / 10), 0) / levels.length;
+  const ungated = 10 * Math.log10(meanPower(blocks));
+  const gated = blocks.filter(level => level > ungated + RELATIVE_GATE_DB);
+
+  return 10 * Math.log10(meanPower(gated.length ? gated : blocks));
+};
@@ -0,0 +1,200 @@
+// Audio Encoder - Pure-JS PCM encoding for explain clips
+console.log('[audioEncoder.js] Loading audio encoder');
+
+const WAV_HEADER_SIZE = 44;
+
+// Whisper works at 16 kHz internally; anything higher only inflates the upload
+export const TRANSCRIPTION_SAMPLE_RATE = 16000;
+
+/**
+ * Mix any number of channels down to a single mono channel
+ * @param {Float32Array[]} channels - Per-channel PCM samples of equal length
+ * @returns {Float32Array} - Averaged mono samples
+ */
+export const downmixToMono = (channels) => {
+  if (channels.length === 1) {
+    return channels[0];
+  }
+
+  const length = channels[0].length;
+  const mono = new Float32Array(length);
+  const gain = 1 / channels.length;
+
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += channel[i] * gain;
+    }
+  }
+
+  return mono;
+};
+
+/**
+ * Resample mono PCM with a pure-JS resampler. When downsampling, each output
+ * sample averages the input span it covers, which suppresses most aliasing for speech.
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} fromRate - Source sample rate in Hz
+ * @param {number} toRate - Target sample rate in Hz
+ * @returns {Float32Array} - Resampled PCM
+ */
+export const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const outputLength = Math.floor(samples.length / ratio);
+  const output = new Float32Array(outputLength);
+
+  if (ratio > 1) {
+    for (let i = 0; i < outputLength; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+      output[i] = end > start ? sum / (end - start) : samples[start];
+    }
+  } else {
+    for (let i = 0; i < outputLength; i++) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+      output[i] = samples[index] + (next - samples[index]) * fraction;
+    }
+  }
+
+  return output;
+};
+
+// Resample through an OfflineAudioContext, which uses the browser's band-limited resampler
+const resampleWithOfflineContext = (samples, fromRate, toRate) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const length = Math.ceil(samples.length * toRate / fromRate);
+  const context = new OfflineContext(1, length, toRate);
+  const buffer = context.createBuffer(1, samples.length, fromRate);
+  buffer.getChannelData(0).set(samples);
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start(0);
+
+  return new Promise((resolve, reject) => {
+    // Older Safari only reports completion through the event
+    context.oncomplete = (event) => resolve(event.renderedBuffer.getChannelData(0));
+    const rendering = context.startRendering();
+    if (rendering && rendering.then) {
+      rendering.then(rendered => resolve(rendered.getChannelData(0)), reject);
+    }
+  });
+};
+
+/**
+ * Downmix, resample to 16 kHz and encode a PCM range as a small WAV upload
+ * @param {Float32Array[]} channels - Per-channel PCM samples
+ * @param {number} sampleRate - Sample rate of the samples in Hz
+ * @returns {Promise<Object>} - { audioBlob, mimeType, filename }
+ */
+export const encodeForTranscription = async (channels, sampleRate) => {
+  const mono = downmixToMono(channels);
+  let samples = mono;
+
+  if (sampleRate !== TRANSCRIPTION_SAMPLE_RATE) {
+    const hasOfflineContext = typeof window !== 'undefined' &&
+      (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+
+    try {
+      samples = hasOfflineContext
+        ? await resampleWithOfflineContext(mono, sampleRate, TRANSCRIPTION_SAMPLE_RATE)
+        : resample(mono, sampleRate, TRANSCRIPTION_SAMPLE_RATE);
+    } catch (error) {
+      // Some Safari versions reject low offline sample rates
+      console.warn('[audioEncoder.js] OfflineAudioContext resampling failed, using JS resampler:', error);
+      samples = resample(mono, sampleRate, TRANSCRIPTION_SAMPLE_RATE);
+    }
+  }
+
+  return {
+    audioBlob: encodeWav([samples], TRANSCRIPTION_SAMPLE_RATE),
+    mimeType: 'audio/wav',
+    filename: 'audio.wav'
+  };
+};
+
+/**
+ * Decode any browser-decodable audio blob to PCM without a live AudioContext
+ * @param {Blob} audioBlob - Encoded audio, e.g. a MediaRecorder recording
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeAudioBlob = async (audioBlob) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(1, 1, 44100);
+  const arrayBuffer = await new Response(audioBlob).arrayBuffer();
+
+  return new Promise((resolve, reject) => {
+    // Callback form keeps older Safari working
+    const decoding = context.decodeAudioData(arrayBuffer, resolve, reject);
+    if (decoding && decoding.then) {
+      decoding.then(resolve, reject);
+    }
+  });
+};
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+/**
+ * Encode PCM samples as a 16-bit little-endian WAV file
+ * @param {Float32Array[]} channels - Per-channel PCM samples in the range [-1, 1]
+ * @param {number} sampleRate - Sample rate of the samples in Hz
+ * @returns {Blob} - A complete RIFF/WAVE file
+ */
+export const encodeWav = (channels, sampleRate) => {
+  if (!channels.length || !channels[0].length) {
+    throw new Error('Cannot encode an empty audio clip');
+  }
+
+  const numChannels = channels.length;
+  const frameCount = channels[0].length;
+  const bytesPerSample = 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF chunk descriptor
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt sub-chunk (PCM)
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  // data sub-chunk, interleaved
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = WAV_HEADER_SIZE;
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
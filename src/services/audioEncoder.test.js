@@ -0,0 +1,68 @@
+import { downmixToMono, encodeForTranscription, encodeWav, resample, TRANSCRIPTION_SAMPLE_RATE } from './audioEncoder';
+import { checkAudioFormat } from './audioTroubleshooter';
+
+const sine = (length, sampleRate, frequency = 440) => {
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+};
+
+test('encodeWav writes a 16-bit PCM header that checkAudioFormat recognises', async () => {
+  const blob = encodeWav([sine(1600, 16000)], 16000);
+  const format = await checkAudioFormat(blob);
+
+  expect(format.isValid).toBe(true);
+  expect(format.format).toBe('wav');
+  expect(format.details).toMatchObject({
+    audioFormat: 1,
+    channels: 1,
+    sampleRate: 16000,
+    bitsPerSample: 16
+  });
+  expect(blob.size).toBe(44 + 1600 * 2);
+  expect(blob.type).toBe('audio/wav');
+});
+
+test('encodeWav interleaves multiple channels', async () => {
+  const blob = encodeWav([sine(100, 44100), sine(100, 44100, 220)], 44100);
+  const format = await checkAudioFormat(blob);
+
+  expect(format.details.channels).toBe(2);
+  expect(format.details.sampleRate).toBe(44100);
+  expect(blob.size).toBe(44 + 100 * 2 * 2);
+});
+
+test('encodeWav rejects empty clips', () => {
+  expect(() => encodeWav([new Float32Array(0)], 16000)).toThrow('empty');
+});
+
+test('downmixToMono averages channels', () => {
+  const mono = downmixToMono([Float32Array.from([1, 0.5]), Float32Array.from([0, -0.5])]);
+  expect(Array.from(mono)).toEqual([0.5, 0]);
+});
+
+test('resample converts 48 kHz to 16 kHz with the expected length', () => {
+  const output = resample(sine(48000, 48000), 48000, 16000);
+  expect(output.length).toBe(16000);
+  expect(Math.max(...output)).toBeLessThanOrEqual(0.5);
+});
+
+test('encodeForTranscription produces 16 kHz mono WAV from stereo input', async () => {
+  const sampleRate = 44100;
+  const { audioBlob, mimeType, filename } = await encodeForTranscription(
+    [sine(sampleRate, sampleRate), sine(sampleRate, sampleRate, 220)],
+    sampleRate
+  );
+  const format = await checkAudioFormat(audioBlob);
+
+  expect(mimeType).toBe('audio/wav');
+  expect(filename).toBe('audio.wav');
+  expect(format.format).toBe('wav');
+  expect(format.details.channels).toBe(1);
+  expect(format.details.sampleRate).toBe(TRANSCRIPTION_SAMPLE_RATE);
+  expect(format.details.bitsPerSample).toBe(16);
+  // One second of input becomes one second of 16 kHz samples
+  expect(audioBlob.size).toBe(44 + TRANSCRIPTION_SAMPLE_RATE * 2);
+});
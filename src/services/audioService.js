@@ -1,19 +1,70 @@
 // iOS-Compatible Audio Service - Fixed buffer management and comprehensive logging
+import { encodeForTranscription, decodeAudioBlob, downmixToMono } from './audioEncoder';
+import { detectSpeech, measureLevelDb, estimateNoiseFloor } from './speechDetector';
+import { createEffectsChain, measureLoudnessDb, getNormalizationGainDb, DEFAULT_AUDIO_PRESET } from './audioEffects';
+import { getBookSetting, setBookSetting } from './settingsService';
+import { findPartIndex, decodeBookRange } from './audioBook';
+
 console.log('[audioService.js] Loading improved iOS-compatible audio service with enhanced logging');
 
 let audioContext = null;
 let audioSource = null;
-let audioBuffer = null;
 let mediaRecorder = null;
 let recordedChunks = [];
-let lastTenSecondsBuffer = [];
+let recentChunksBuffer = [];
 let audioSampleRate = 44100;
 let recordingStream = null;
-const MAX_BUFFER_SIZE = 20; // Increased for better 10-second coverage
-let audioStartTime = null;
 let isRecordingActive = false;
 let isResetting = false;
-let currentPlaybackTime = 0;
+let mediaElement = null; // the element of the part currently heard
+let loadedBook = null;
+
+// Two <audio> elements alternate between parts of a multi-file book. The handover is
+// timer driven, not scheduled on the audio clock, so the join between parts can have a
+// few milliseconds of gap or overlap: near-gapless, not sample-accurate.
+let partPlayers = [];
+let activePartIndex = 0;
+let partSwitchTimer = null;
+const PART_SWITCH_LOOKAHEAD_SECONDS = 1;
+const PART_SWITCH_EARLY_MS = 30;
+
+// Analyser level readings used to estimate the book's noise floor
+const LEVEL_SAMPLE_INTERVAL_MS = 200;
+const LEVEL_HISTORY_LENGTH = 300; // one minute
+const MIN_LEVEL_READINGS = 25;
+let levelHistory = [];
+let levelMonitorTimer = null;
+
+// Gain stage used to duck the book under spoken explanations
+let duckGain = null;
+
+// Voice clarity processing and the loudness measured for the loaded book
+let effectsChain = null;
+let audioPreset = DEFAULT_AUDIO_PRESET;
+let bookLoudnessDb = null;
+
+// Where and how much of a book is sampled to measure its loudness
+const LOUDNESS_SAMPLE_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9];
+const LOUDNESS_SAMPLE_SECONDS = 8;
+
+// Resume positions closer than this to the element's own position are not seeked to
+const RESUME_SEEK_TOLERANCE_SECONDS = 0.25;
+
+// Playback clock: position = clockStartOffset + (audioContext.currentTime - clockContextStartTime) * playbackRate
+let clockStartOffset = 0;
+let clockContextStartTime = null;
+
+// A-B loop: [start, end) plays `repeats` times, or until cleared when repeats is null
+let loopRegion = null;
+let loopTimer = null;
+let loopListener = null;
+const LOOP_END_TOLERANCE_SECONDS = 0.03;
+
+// Playback speed
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+export const MIN_PLAYBACK_RATE = 0.75;
+export const MAX_PLAYBACK_RATE = 3;
+let playbackRate = 1;
 
 // Enhanced logging system
 let debugLogs = [];
@@ -24,10 +75,27 @@ let isIOS = false;
 let safariVersion = null;
 let supportedMimeType = null;
 
+// Explain window limits (seconds)
+export const MIN_EXPLAIN_WINDOW_SECONDS = 5;
+export const MAX_EXPLAIN_WINDOW_SECONDS = 180;
+// Selected ranges stay under Whisper's 25 MB upload limit as 16 kHz mono WAV
+export const MAX_EXPLAIN_RANGE_SECONDS = 12 * 60;
+export const DEFAULT_EXPLAIN_WINDOW_SECONDS = 10;
+
 // Buffer management variables
 let bufferStartTime = null;
 let chunkDuration = 500; // milliseconds per chunk
-let maxChunksFor10Seconds = Math.ceil(10000 / chunkDuration); // 20 chunks for 10 seconds
+// The buffer always retains the longest selectable window (at the slowest speed)
+// so the user can change the window between presses without losing context
+const bufferRetentionMs = MAX_EXPLAIN_WINDOW_SECONDS * 1000 / MIN_PLAYBACK_RATE;
+let maxChunksForWindow = Math.ceil(bufferRetentionMs / chunkDuration);
+
+// Clamp a requested explain window to the supported range
+export const clampExplainWindow = (seconds) => {
+  const value = Number(seconds);
+  if (!isFinite(value)) return DEFAULT_EXPLAIN_WINDOW_SECONDS;
+  return Math.max(MIN_EXPLAIN_WINDOW_SECONDS, Math.min(MAX_EXPLAIN_WINDOW_SECONDS, Math.round(value)));
+};
 
 // Enhanced logging function
 const logDebug = (message, data = null) => {
@@ -60,9 +128,9 @@ export const downloadDebugLogs = () => {
       timestamp: new Date().toISOString(),
       logs: debugLogs,
       bufferState: {
-        bufferSize: lastTenSecondsBuffer.length,
-        maxBufferSize: MAX_BUFFER_SIZE,
-        chunksFor10Seconds: maxChunksFor10Seconds,
+        bufferSize: recentChunksBuffer.length,
+        maxBufferSize: maxChunksForWindow,
+        bufferRetentionMs,
         chunkDuration,
         isRecordingActive,
         supportedMimeType
@@ -140,35 +208,36 @@ const getBestSupportedMimeType = () => {
   return null;
 };
 
-// Enhanced buffer management - keep only the last 10 seconds
-const manageBuffer = () => {
+// Enhanced buffer management - keep only chunks inside the retention window
+const manageBuffer = (windowMs) => {
   if (!bufferStartTime) {
     bufferStartTime = Date.now();
   }
   
   const currentTime = Date.now();
-  const tenSecondsAgo = currentTime - 10000; // 10 seconds in milliseconds
+  const windowStart = currentTime - windowMs;
+  const maxChunks = Math.ceil(windowMs / chunkDuration);
   
-  // Remove chunks older than 10 seconds
-  lastTenSecondsBuffer = lastTenSecondsBuffer.filter(chunk => chunk.timestamp >= tenSecondsAgo);
+  // Remove chunks older than the window
+  recentChunksBuffer = recentChunksBuffer.filter(chunk => chunk.timestamp >= windowStart);
   
   // Also limit by count as a safety measure
-  if (lastTenSecondsBuffer.length > maxChunksFor10Seconds) {
-    const excessChunks = lastTenSecondsBuffer.length - maxChunksFor10Seconds;
-    lastTenSecondsBuffer.splice(0, excessChunks);
+  if (recentChunksBuffer.length > maxChunks) {
+    const excessChunks = recentChunksBuffer.length - maxChunks;
+    recentChunksBuffer.splice(0, excessChunks);
     logDebug('Buffer trimmed by count', { 
       removed: excessChunks, 
-      remaining: lastTenSecondsBuffer.length 
+      remaining: recentChunksBuffer.length 
     });
   }
   
   // Log buffer state periodically (every 20 chunks)
-  if (lastTenSecondsBuffer.length % 20 === 0) {
-    const oldestChunk = lastTenSecondsBuffer[0];
-    const newestChunk = lastTenSecondsBuffer[lastTenSecondsBuffer.length - 1];
+  if (recentChunksBuffer.length % 20 === 0) {
+    const oldestChunk = recentChunksBuffer[0];
+    const newestChunk = recentChunksBuffer[recentChunksBuffer.length - 1];
     
     logDebug('Buffer state check', {
-      bufferSize: lastTenSecondsBuffer.length,
+      bufferSize: recentChunksBuffer.length,
       timeSpan: oldestChunk && newestChunk ? 
         (newestChunk.timestamp - oldestChunk.timestamp) / 1000 : 0,
       oldestAge: oldestChunk ? (currentTime - oldestChunk.timestamp) / 1000 : 0
@@ -189,7 +258,7 @@ const resetRecordingState = () => {
     }
     
     recordedChunks = [];
-    lastTenSecondsBuffer = [];
+    recentChunksBuffer = [];
     bufferStartTime = null;
     isRecordingActive = false;
     
@@ -199,11 +268,18 @@ const resetRecordingState = () => {
   }
 };
 
-export const initializeAudio = async (audioFile, seekTime = 0) => {
-  logDebug('Initializing audio', { fileName: audioFile.name, seekTime });
+/**
+ * Start (or resume) playback of a book at a position on its continuous timeline.
+ * Reuses the loaded elements and context when the same book is already open.
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} seekTime - Position in book seconds
+ * @returns {Promise<Object>} - { context, source }
+ */
+export const initializeAudio = async (book, seekTime = 0) => {
+  logDebug('Initializing audio', { title: book.title, parts: book.parts.length, seekTime });
   
   // Detect device capabilities
-  const deviceInfo = detectDevice();
+  detectDevice();
   supportedMimeType = getBestSupportedMimeType();
   
   if (!supportedMimeType) {
@@ -212,15 +288,11 @@ export const initializeAudio = async (audioFile, seekTime = 0) => {
     throw new Error(error);
   }
   
-  resetRecordingState();
-  
   try {
-    if (audioContext && audioSource) {
-      audioSource.stop();
-      audioSource.disconnect();
-    }
-    
     if (!audioContext || audioContext.state === 'closed') {
+      // A MediaElementAudioSourceNode is bound to its context for life, so a new context needs new elements
+      releaseMediaElement();
+      
       // iOS requires user interaction to create AudioContext
       audioContext = new (window.AudioContext || window.webkitAudioContext)();
       audioSampleRate = audioContext.sampleRate;
@@ -229,69 +301,694 @@ export const initializeAudio = async (audioFile, seekTime = 0) => {
         sampleRate: audioSampleRate, 
         state: audioContext.state 
       });
-      
-      // iOS-specific: Resume context if suspended
-      if (audioContext.state === 'suspended') {
-        await audioContext.resume();
-        logDebug('AudioContext resumed from suspended state');
-      }
-    } else if (audioContext.state === 'suspended') {
+    }
+    
+    // iOS-specific: Resume context if suspended
+    if (audioContext.state === 'suspended') {
       await audioContext.resume();
       logDebug('AudioContext resumed');
     }
     
-    const arrayBuffer = await readFileAsArrayBuffer(audioFile);
-    audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    if (loadedBook !== book || !partPlayers.length) {
+      await loadBook(book);
+    }
     
-    logDebug('Audio buffer decoded', { 
-      duration: audioBuffer.duration,
-      sampleRate: audioBuffer.sampleRate,
-      numberOfChannels: audioBuffer.numberOfChannels
-    });
+    // Resuming where we paused must not trigger a seek, which would rebuffer
+    await activatePart(seekTime, RESUME_SEEK_TOLERANCE_SECONDS);
+    setCurrentPlaybackTime(getActiveElementBookTime());
     
-    audioSource = audioContext.createBufferSource();
-    audioSource.buffer = audioBuffer;
+    await mediaElement.play();
+    resumeRecorder();
+    primeStandbyElement();
     
-    const analyser = audioContext.createAnalyser();
-    analyser.fftSize = 2048;
+    logDebug('Audio playback started', { seekTime, part: activePartIndex, playbackRate });
     
-    const destination = audioContext.createMediaStreamDestination();
-    recordingStream = destination.stream;
+    return { context: audioContext, source: audioSource };
+  } catch (error) {
+    logDebug('Error initializing audio', { error: error.message });
+    throw error;
+  }
+};
+
+// Stream the book through <audio> elements instead of decoding it all up front.
+// Two elements take turns so the next part is already loaded when the current one ends.
+const loadBook = async (book) => {
+  releaseMediaElement();
+  resetRecordingState();
+  
+  loadedBook = book;
+  
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  startLevelMonitor(analyser);
+  
+  const destination = audioContext.createMediaStreamDestination();
+  recordingStream = destination.stream;
+  
+  // Effects and ducking sit after the taps so captures and level readings hear the raw book
+  effectsChain = createEffectsChain(audioContext);
+  effectsChain.apply(audioPreset, bookLoudnessDb);
+  duckGain = audioContext.createGain();
+  duckGain.gain.value = 1;
+  
+  analyser.connect(effectsChain.input);
+  effectsChain.output.connect(duckGain);
+  duckGain.connect(audioContext.destination);
+  
+  partPlayers = [
+    createPartPlayer(analyser, destination),
+    createPartPlayer(analyser, destination)
+  ];
+  await loadPart(partPlayers[0], 0);
+  makeActive(partPlayers[0]);
+  
+  logDebug('Book ready', { 
+    title: book.title,
+    parts: book.parts.length,
+    duration: book.duration,
+    size: book.size
+  });
+  
+  await setupMediaRecorder(recordingStream);
+  bufferStartTime = Date.now(); // Reset buffer timing
+  
+  // Measured once per book, in the background, for normalization
+  loadBookLoudness(book);
+};
+
+const createPartPlayer = (analyser, destination) => {
+  const element = new Audio();
+  element.preload = 'auto';
+  element.setAttribute('playsinline', 'true');
+  element.setAttribute('webkit-playsinline', 'true');
+  
+  // Keep the narrator's pitch when speeding up
+  element.preservesPitch = true;
+  element.webkitPreservesPitch = true;
+  element.mozPreservesPitch = true;
+  element.playbackRate = playbackRate;
+  
+  const source = audioContext.createMediaElementSource(element);
+  source.connect(analyser);
+  source.connect(destination);
+  
+  const player = { element, source, url: null, partIndex: -1 };
+  
+  attachClockListeners(player);
+  attachPartListeners(player);
+  
+  element.addEventListener('error', () => {
+    logDebug('Media element error', { code: element.error?.code, message: element.error?.message });
+  });
+  
+  return player;
+};
+
+// Point a player at one part of the book and wait until it can seek
+const loadPart = async (player, partIndex) => {
+  const part = loadedBook.parts[partIndex];
+  if (player.url) {
+    URL.revokeObjectURL(player.url);
+  }
+  
+  player.url = URL.createObjectURL(part.file);
+  player.partIndex = partIndex;
+  player.element.src = player.url;
+  player.element.playbackRate = playbackRate;
+  
+  await waitForMetadata(player.element);
+  logDebug('Part loaded', { partIndex, name: part.name, duration: player.element.duration });
+};
+
+const makeActive = (player) => {
+  clearPartSwitch();
+  mediaElement = player.element;
+  audioSource = player.source;
+  activePartIndex = player.partIndex;
+};
+
+const getStandbyPlayer = () => partPlayers.find(player => player.element !== mediaElement);
+
+const getActiveElementBookTime = () => {
+  return loadedBook.parts[activePartIndex].start + mediaElement.currentTime;
+};
+
+// Make the element holding the part for a book position the active one, seeked into place
+const activatePart = async (time, tolerance = 0) => {
+  const partIndex = findPartIndex(loadedBook, time);
+  const offset = Math.max(0, time - loadedBook.parts[partIndex].start);
+  let player = partPlayers.find(item => item.partIndex === partIndex);
+  
+  if (!player) {
+    player = getStandbyPlayer();
+    await loadPart(player, partIndex);
+  } else {
+    // May still be preloading
+    await waitForMetadata(player.element);
+  }
+  
+  if (player.element !== mediaElement) {
+    if (mediaElement && !mediaElement.paused) {
+      mediaElement.pause();
+    }
+    makeActive(player);
+  }
+  
+  if (Math.abs(mediaElement.currentTime - offset) > tolerance) {
+    mediaElement.currentTime = offset;
+  }
+  
+  preloadNextPart();
+};
+
+const preloadNextPart = () => {
+  const next = activePartIndex + 1;
+  const standby = getStandbyPlayer();
+  if (!loadedBook || next >= loadedBook.parts.length || !standby || standby.partIndex === next) {
+    return;
+  }
+  
+  loadPart(standby, next).catch(error => {
+    logDebug('Could not preload next part', { next, error: error.message });
+  });
+};
+
+// iOS only lets an element play programmatically once it has played inside a user gesture
+const primeStandbyElement = () => {
+  const standby = getStandbyPlayer();
+  if (!standby || standby.primed || !standby.url) return;
+  
+  const { element } = standby;
+  element.muted = true;
+  const playing = element.play();
+  if (playing && playing.then) {
+    playing
+      .then(() => {
+        element.pause();
+        element.muted = false;
+        standby.primed = true;
+      })
+      .catch(() => {
+        element.muted = false;
+      });
+  }
+};
+
+const clearPartSwitch = () => {
+  if (partSwitchTimer) {
+    clearTimeout(partSwitchTimer);
+    partSwitchTimer = null;
+  }
+};
+
+// Hand over to the next part a moment before the active one runs out. setTimeout and
+// play() both have main-thread jitter, so starting PART_SWITCH_EARLY_MS early trades a
+// possible short overlap for a less likely gap; 'ended' is the fallback if the timer is late.
+const attachPartListeners = (player) => {
+  const { element } = player;
+  const hasNextPart = () => loadedBook && activePartIndex + 1 < loadedBook.parts.length;
+  
+  element.addEventListener('timeupdate', () => {
+    if (element !== mediaElement || element.paused || partSwitchTimer || !hasNextPart()) return;
     
-    audioSource.connect(analyser);
-    analyser.connect(audioContext.destination);
-    audioSource.connect(destination);
+    const remaining = (element.duration - element.currentTime) / (element.playbackRate || 1);
+    if (remaining < PART_SWITCH_LOOKAHEAD_SECONDS) {
+      partSwitchTimer = setTimeout(switchToNextPart, Math.max(0, remaining * 1000 - PART_SWITCH_EARLY_MS));
+    }
+  });
+  
+  element.addEventListener('ended', () => {
+    if (element === mediaElement && hasNextPart()) {
+      switchToNextPart();
+    }
+  });
+  
+  ['pause', 'seeking', 'ratechange'].forEach(eventName => {
+    element.addEventListener(eventName, () => {
+      if (element === mediaElement) clearPartSwitch();
+    });
+  });
+};
+
+// Start the next part from 0 and then pause the previous one. The two elements are not
+// synchronised with each other, so the join is only as tight as the timer and play() latency.
+const switchToNextPart = async () => {
+  clearPartSwitch();
+  const next = activePartIndex + 1;
+  if (!loadedBook || next >= loadedBook.parts.length) return;
+  
+  const previous = mediaElement;
+  try {
+    let player = partPlayers.find(item => item.partIndex === next);
+    if (!player) {
+      player = getStandbyPlayer();
+      await loadPart(player, next);
+    } else {
+      await waitForMetadata(player.element);
+    }
     
-    await setupMediaRecorder(recordingStream);
+    player.element.currentTime = 0;
+    player.element.playbackRate = playbackRate;
+    makeActive(player);
+    await player.element.play();
+    previous.pause();
     
-    audioStartTime = Date.now();
-    currentPlaybackTime = seekTime;
-    bufferStartTime = Date.now(); // Reset buffer timing
+    logDebug('Continued into next part', { partIndex: next });
+    preloadNextPart();
+  } catch (error) {
+    logDebug('Could not continue into next part', { next, error: error.message });
+  }
+};
+
+const waitForMetadata = (element) => {
+  if (element.readyState >= 1) {
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onLoaded = () => {
+      element.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      element.removeEventListener('loadedmetadata', onLoaded);
+      reject(new Error(`Could not load audio: ${element.error?.message || 'unsupported or corrupted file'}`));
+    };
+    element.addEventListener('loadedmetadata', onLoaded, { once: true });
+    element.addEventListener('error', onError, { once: true });
+  });
+};
+
+// Sample the analyser while the book plays to learn its noise floor for speech detection
+const startLevelMonitor = (analyser) => {
+  stopLevelMonitor();
+  levelHistory = [];
+  const samples = new Float32Array(analyser.fftSize);
+  
+  levelMonitorTimer = setInterval(() => {
+    if (!mediaElement || mediaElement.paused) return;
     
-    // Start from the specified time
-    audioSource.start(0, seekTime);
+    if (analyser.getFloatTimeDomainData) {
+      analyser.getFloatTimeDomainData(samples);
+    } else {
+      // Older Safari only has the byte version
+      const bytes = new Uint8Array(analyser.fftSize);
+      analyser.getByteTimeDomainData(bytes);
+      for (let i = 0; i < bytes.length; i++) {
+        samples[i] = (bytes[i] - 128) / 128;
+      }
+    }
     
-    logDebug('Audio playback started', { seekTime, audioStartTime });
+    levelHistory.push(measureLevelDb(samples));
+    if (levelHistory.length > LEVEL_HISTORY_LENGTH) {
+      levelHistory.shift();
+    }
+  }, LEVEL_SAMPLE_INTERVAL_MS);
+};
+
+const stopLevelMonitor = () => {
+  if (levelMonitorTimer) {
+    clearInterval(levelMonitorTimer);
+    levelMonitorTimer = null;
+  }
+};
+
+/**
+ * Noise floor of the playing book in dBFS, from the last minute of analyser readings
+ * @returns {number|null} - null until enough audio has played
+ */
+export const getBookNoiseFloorDb = () => {
+  if (levelHistory.length < MIN_LEVEL_READINGS) {
+    return null;
+  }
+  return estimateNoiseFloor(levelHistory);
+};
+
+const releaseMediaElement = () => {
+  stopLevelMonitor();
+  clearPartSwitch();
+  
+  partPlayers.forEach(({ element, source, url }) => {
+    element.pause();
+    element.removeAttribute('src');
+    element.load();
+    source.disconnect();
+    if (url) {
+      URL.revokeObjectURL(url);
+    }
+  });
+  
+  if (effectsChain) {
+    effectsChain.disconnect();
+  }
+  if (duckGain) {
+    duckGain.disconnect();
+  }
+  
+  partPlayers = [];
+  activePartIndex = 0;
+  mediaElement = null;
+  audioSource = null;
+  effectsChain = null;
+  duckGain = null;
+  bookLoudnessDb = null;
+  loadedBook = null;
+};
+
+/**
+ * Pause playback, keeping the element, context and position
+ * @returns {number} - The position playback paused at
+ */
+export const pauseAudio = () => {
+  if (mediaElement && !mediaElement.paused) {
+    mediaElement.pause();
+  }
+  pauseRecorder();
+  const position = getCurrentPlaybackTime();
+  logDebug('Audio paused', { position });
+  return position;
+};
+
+/**
+ * Jump to a new position on the loaded book, crossing into another part if
+ * needed. The context and recorder buffer stay alive, so seeking is instant
+ * whether playing or paused.
+ * @param {number} time - Target position in book seconds
+ * @returns {Promise<number>} - The position actually seeked to
+ */
+export const seekAudio = async (time) => {
+  const duration = getPlaybackDuration();
+  const target = Math.max(0, duration > 0 ? Math.min(time, duration) : time);
+  
+  if (loadedBook && partPlayers.length) {
+    const wasPlaying = !!mediaElement && !mediaElement.paused;
+    // The seeking/seeked listeners re-anchor the clock once the element lands
+    await activatePart(target);
+    if (wasPlaying && mediaElement.paused) {
+      await mediaElement.play();
+    }
+  }
+  setCurrentPlaybackTime(target);
+  
+  logDebug('Audio seeked', { target, part: activePartIndex, playing: !!mediaElement && !mediaElement.paused });
+  return target;
+};
+
+/**
+ * Tear down the element, recorder and AudioContext. Only needed when a
+ * different book is loaded or the app unmounts.
+ */
+export const releaseAudio = () => {
+  releaseMediaElement();
+  resetRecordingState();
+  recordingStream = null;
+  
+  if (audioContext && audioContext.state !== 'closed') {
+    audioContext.close();
+  }
+  audioContext = null;
+  clockStartOffset = 0;
+  clockContextStartTime = null;
+  setLoop(null);
+  
+  logDebug('Audio released');
+};
+
+// The recorder only runs while the book is audible so the buffer never fills with silence
+const pauseRecorder = () => {
+  if (mediaRecorder && mediaRecorder.state === 'recording' && typeof mediaRecorder.pause === 'function') {
+    mediaRecorder.pause();
+  }
+};
+
+const resumeRecorder = () => {
+  if (mediaRecorder && mediaRecorder.state === 'paused') {
+    mediaRecorder.resume();
+  }
+};
+
+/**
+ * Switch the voice clarity preset. Applies immediately if a book is loaded and
+ * is remembered for books loaded later.
+ * @param {string} presetName - A key of AUDIO_PRESETS
+ */
+export const setAudioPreset = (presetName) => {
+  audioPreset = presetName;
+  if (effectsChain) {
+    const applied = effectsChain.apply(audioPreset, bookLoudnessDb);
+    logDebug('Audio preset applied', applied);
+  }
+};
+
+// Sample a few stretches across the book and measure how loud it is
+const measureBookLoudness = async (book) => {
+  const { duration } = book;
+  const sections = [];
+  let sampleRate = null;
+  
+  for (const fraction of LOUDNESS_SAMPLE_POSITIONS) {
+    const start = Math.max(0, duration * fraction - LOUDNESS_SAMPLE_SECONDS / 2);
+    const end = Math.min(duration, start + LOUDNESS_SAMPLE_SECONDS);
+    if (end - start < MIN_CLIP_SECONDS) continue;
     
-    return { context: audioContext, source: audioSource };
-  } catch (error) {
-    logDebug('Error initializing audio', { error: error.message });
-    throw error;
+    const clip = await readClipChannels(start, end, book);
+    sections.push(downmixToMono(clip.channels));
+    sampleRate = clip.sampleRate;
+  }
+  
+  return sampleRate ? measureLoudnessDb(sections, sampleRate) : null;
+};
+
+// Load the book's loudness from settings, measuring it the first time the book is opened
+const loadBookLoudness = async (book) => {
+  const bookId = book.id;
+  let loudness = getBookSetting(bookId, 'loudnessDb', null);
+  
+  if (loudness === null && book.duration > 0) {
+    try {
+      loudness = await measureBookLoudness(book);
+      if (loudness !== null) {
+        setBookSetting(bookId, 'loudnessDb', loudness);
+      }
+    } catch (error) {
+      logDebug('Loudness measurement failed, playing without normalization', { error: error.message });
+    }
   }
+  
+  // Ignore the result if another book was loaded meanwhile
+  if (loadedBook !== book) return;
+  
+  bookLoudnessDb = loudness;
+  logDebug('Book loudness', {
+    loudnessDb: loudness,
+    normalizationDb: getNormalizationGainDb(loudness)
+  });
+  if (effectsChain) {
+    effectsChain.apply(audioPreset, bookLoudnessDb);
+  }
+};
+
+// Fade the book to this gain while an explanation is spoken (about -14 dB)
+export const DUCKED_GAIN = 0.2;
+const DUCK_FADE_SECONDS = 0.4;
+const UNDUCK_FADE_SECONDS = 0.8;
+
+// Ramp the book's volume without clicks, starting from wherever the gain is now
+const rampBookGain = (target, fadeSeconds) => {
+  if (!duckGain || !audioContext || audioContext.state === 'closed') return;
+  
+  const now = audioContext.currentTime;
+  const { gain } = duckGain;
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  gain.linearRampToValueAtTime(target, now + fadeSeconds);
+};
+
+/**
+ * Fade the book down so a spoken explanation can be heard over it
+ * @param {number} [level] - Gain to fade to, 0..1
+ */
+export const duckAudio = (level = DUCKED_GAIN) => {
+  logDebug('Ducking book audio', { level });
+  rampBookGain(Math.max(0, Math.min(1, level)), DUCK_FADE_SECONDS);
+};
+
+// Fade the book back up to full volume after an explanation
+export const unduckAudio = () => {
+  if (!duckGain || duckGain.gain.value === 1) return;
+  logDebug('Restoring book audio');
+  rampBookGain(1, UNDUCK_FADE_SECONDS);
+};
+
+// Clamp a requested speed to the supported range
+export const clampPlaybackRate = (rate) => {
+  const value = Number(rate);
+  if (!isFinite(value) || value <= 0) return 1;
+  return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, value));
+};
+
+/**
+ * Change playback speed. The media element preserves pitch; the position carries over seamlessly.
+ * @param {number} rate - Speed factor between MIN_PLAYBACK_RATE and MAX_PLAYBACK_RATE
+ */
+export const setPlaybackRate = (rate) => {
+  const newRate = clampPlaybackRate(rate);
+  if (newRate === playbackRate) return;
+  
+  playbackRate = newRate;
+  logDebug('Playback rate changed', { playbackRate });
+  
+  // The active element's ratechange listener re-anchors the clock
+  partPlayers.forEach(({ element }) => {
+    element.playbackRate = newRate;
+  });
+};
+
+export const getPlaybackRate = () => playbackRate;
+
+// Re-anchor the audio clock to the active element whenever its timeline jumps or stops
+const attachClockListeners = (player) => {
+  const { element } = player;
+  const anchor = () => {
+    if (element !== mediaElement || !loadedBook) return;
+    const isAdvancing = !element.paused && !element.seeking && element.readyState >= 3;
+    clockStartOffset = loadedBook.parts[player.partIndex].start + element.currentTime;
+    clockContextStartTime = isAdvancing && audioContext ? audioContext.currentTime : null;
+    scheduleLoopCheck();
+  };
+  
+  ['playing', 'pause', 'seeking', 'seeked', 'waiting', 'ratechange', 'ended'].forEach(eventName => {
+    element.addEventListener(eventName, anchor);
+  });
 };
 
+// Audio that has been scheduled but not yet heard, so the clock matches the speakers
+const getOutputLatency = () => {
+  if (!audioContext) return 0;
+  return audioContext.outputLatency || audioContext.baseLatency || 0;
+};
+
+/**
+ * Authoritative playback position in book seconds. Anchored to the media element
+ * on every play/seek/rate change and extrapolated between events with
+ * audioContext.currentTime, so it stops while suspended and never runs past the end.
+ * @returns {number}
+ */
 export const getCurrentPlaybackTime = () => {
-  if (!audioStartTime) return 0;
-  const elapsedSinceStart = (Date.now() - audioStartTime) / 1000;
-  return currentPlaybackTime + elapsedSinceStart;
+  if (!audioContext || clockContextStartTime === null) {
+    return clockStartOffset;
+  }
+  
+  const elapsed = Math.max(0, audioContext.currentTime - clockContextStartTime - getOutputLatency());
+  const position = clockStartOffset + elapsed * playbackRate;
+  const duration = getPlaybackDuration();
+  
+  return duration > 0 ? Math.min(position, duration) : position;
 };
 
+/**
+ * Re-anchor the playback clock, e.g. after seeking while paused or loading a new book
+ * @param {number} time - New position in seconds
+ */
 export const setCurrentPlaybackTime = (time) => {
-  currentPlaybackTime = time;
-  audioStartTime = Date.now();
+  clockStartOffset = time;
+  clockContextStartTime = mediaElement && !mediaElement.paused && audioContext && audioContext.state === 'running'
+    ? audioContext.currentTime
+    : null;
+  scheduleLoopCheck();
   logDebug('Playback time set', { time });
 };
 
+const notifyLoopListener = () => {
+  if (loopListener) {
+    loopListener(loopRegion ? { ...loopRegion } : null);
+  }
+};
+
+// Wake up when the clock reaches the loop end; only runs while playback is advancing
+const scheduleLoopCheck = () => {
+  clearTimeout(loopTimer);
+  loopTimer = null;
+  
+  if (!loopRegion || clockContextStartTime === null) {
+    return;
+  }
+  
+  const position = getCurrentPlaybackTime();
+  // Seeking past B leaves the loop alone until the listener comes back inside it
+  if (position >= loopRegion.end) {
+    return;
+  }
+  
+  const delayMs = Math.max(0, ((loopRegion.end - position) / playbackRate) * 1000);
+  loopTimer = setTimeout(handleLoopEnd, delayMs);
+};
+
+const handleLoopEnd = async () => {
+  loopTimer = null;
+  if (!loopRegion) return;
+  
+  // Timers can fire early; check against the clock before wrapping
+  if (getCurrentPlaybackTime() < loopRegion.end - LOOP_END_TOLERANCE_SECONDS) {
+    scheduleLoopCheck();
+    return;
+  }
+  
+  if (loopRegion.repeats !== null && loopRegion.pass >= loopRegion.repeats) {
+    logDebug('Loop finished', { passes: loopRegion.pass });
+    loopRegion = null;
+    notifyLoopListener();
+    return;
+  }
+  
+  loopRegion = { ...loopRegion, pass: loopRegion.pass + 1 };
+  logDebug('Loop repeating', { start: loopRegion.start, pass: loopRegion.pass, repeats: loopRegion.repeats });
+  notifyLoopListener();
+  
+  try {
+    await seekAudio(loopRegion.start);
+  } catch (error) {
+    logDebug('Loop seek failed, clearing loop', { error: error.message });
+    loopRegion = null;
+    notifyLoopListener();
+  }
+};
+
+/**
+ * Start or replace the A-B loop. Survives pauses, explanations and seeks; the
+ * loop only wraps while the book is actually playing.
+ * @param {Object|null} loop - { start, end, repeats } in book seconds; repeats null loops forever; null clears
+ * @param {Function} [onChange] - Called with { start, end, repeats, pass } after each pass, or null when the loop ends
+ */
+export const setLoop = (loop, onChange = null) => {
+  if (loop && loop.end > loop.start) {
+    loopRegion = {
+      start: loop.start,
+      end: loop.end,
+      repeats: loop.repeats ? Math.max(1, Math.round(loop.repeats)) : null,
+      pass: 1
+    };
+    loopListener = onChange;
+    logDebug('Loop set', loopRegion);
+  } else {
+    loopRegion = null;
+    loopListener = null;
+    logDebug('Loop cleared');
+  }
+  scheduleLoopCheck();
+};
+
+/**
+ * The active A-B loop
+ * @returns {Object|null} - { start, end, repeats, pass }
+ */
+export const getLoop = () => (loopRegion ? { ...loopRegion } : null);
+
+// Duration of the loaded book in seconds, across all parts (0 before a book is loaded)
+export const getPlaybackDuration = () => {
+  return loadedBook ? loadedBook.duration : 0;
+};
+
 const setupMediaRecorder = async (stream) => {
   try {
     logDebug('Setting up MediaRecorder', { supportedMimeType });
@@ -316,16 +1013,15 @@ const setupMediaRecorder = async (stream) => {
       // Lower bitrates for iOS to prevent memory issues
       options.audioBitsPerSecond = 48000; // Reduced from 64000
       chunkDuration = 500; // 0.5 second chunks for iOS
-      maxChunksFor10Seconds = Math.ceil(10000 / chunkDuration);
     } else {
       chunkDuration = 1000; // 1 second chunks for desktop
-      maxChunksFor10Seconds = Math.ceil(10000 / chunkDuration);
     }
+    maxChunksForWindow = Math.ceil(bufferRetentionMs / chunkDuration);
     
     logDebug('MediaRecorder options', { 
       options, 
       chunkDuration, 
-      maxChunksFor10Seconds 
+      maxChunksForWindow 
     });
     
     mediaRecorder = new MediaRecorder(stream, options);
@@ -342,14 +1038,16 @@ const setupMediaRecorder = async (stream) => {
         
         recordedChunks.push(event.data);
         
-        lastTenSecondsBuffer.push({
+        // Book position at the end of the chunk, so seeks never mix audio from two places
+        recentChunksBuffer.push({
           timestamp: Date.now(),
+          position: getCurrentPlaybackTime(),
           data: event.data,
           size: event.data.size
         });
         
         // Enhanced buffer management
-        manageBuffer();
+        manageBuffer(bufferRetentionMs);
         
         // Prevent unlimited growth of recordedChunks
         if (recordedChunks.length > 1000) { // Keep last 1000 chunks max
@@ -367,6 +1065,11 @@ const setupMediaRecorder = async (stream) => {
     mediaRecorder.onstart = () => {
       logDebug('MediaRecorder started successfully');
       isRecordingActive = true;
+      
+      // Restarted after a capture while the book is paused
+      if (!mediaElement || mediaElement.paused) {
+        pauseRecorder();
+      }
     };
     
     mediaRecorder.onstop = () => {
@@ -383,13 +1086,238 @@ const setupMediaRecorder = async (stream) => {
   }
 };
 
-export const stopRecording = () => {
+// Shortest clip worth sending for transcription (seconds)
+const MIN_CLIP_SECONDS = 0.5;
+
+// Below this share of speech the window is widened backwards once
+const MOSTLY_SILENT_RATIO = 0.25;
+
+// Silence kept around the detected speech so words are not clipped
+const SPEECH_PADDING_SECONDS = 0.25;
+
+// Read PCM for [start, end] with an on-demand range decode instead of keeping the whole book decoded
+const readClipChannels = async (startTime, endTime, book) => {
+  if (!book) {
+    throw new Error('No book loaded to capture from');
+  }
+  
+  let source = null;
+  const start = Math.max(0, startTime);
+  let end = Math.max(start, endTime);
+  
+  if (end - start >= MIN_CLIP_SECONDS) {
+    const decodeContext = audioContext && audioContext.state !== 'closed' ? audioContext : undefined;
+    source = await decodeBookRange(book, start, end, decodeContext);
+    end = start + source.duration;
+  }
+  
+  logDebug('Reading clip PCM', {
+    requestedStart: startTime,
+    requestedEnd: endTime,
+    start,
+    end
+  });
+  
+  if (end - start < MIN_CLIP_SECONDS) {
+    const error = new Error('Not enough audio before this position to explain');
+    error.isTooEarly = true;
+    throw error;
+  }
+  
+  // decodeBookRange returns audio from start onwards
+  const sampleRate = source.sampleRate;
+  const endSample = Math.min(source.length, Math.ceil((end - start) * sampleRate));
+  
+  const channels = [];
+  for (let c = 0; c < source.numberOfChannels; c++) {
+    channels.push(source.getChannelData(c).subarray(0, endSample));
+  }
+  
+  return { channels, sampleRate, start, end };
+};
+
+// Run voice activity detection on a clip and cut it down to the speech
+const trimToSpeech = (channels, sampleRate) => {
+  const mono = downmixToMono(channels);
+  const speech = detectSpeech(mono, sampleRate, { noiseFloorDb: getBookNoiseFloorDb() });
+  const clipSeconds = mono.length / sampleRate;
+  
+  logDebug('Speech detection', {
+    clipSeconds,
+    hasSpeech: speech.hasSpeech,
+    speechStart: speech.speechStart,
+    speechEnd: speech.speechEnd,
+    speechRatio: Math.round(speech.speechRatio * 100) / 100,
+    thresholdDb: Math.round(speech.thresholdDb)
+  });
+  
+  if (!speech.hasSpeech) {
+    return { ...speech, channels, trimStart: 0, trimEnd: clipSeconds };
+  }
+  
+  const trimStart = Math.max(0, speech.speechStart - SPEECH_PADDING_SECONDS);
+  const trimEnd = Math.min(clipSeconds, speech.speechEnd + SPEECH_PADDING_SECONDS);
+  const from = Math.floor(trimStart * sampleRate);
+  const to = Math.ceil(trimEnd * sampleRate);
+  
+  return {
+    ...speech,
+    channels: channels.map(channel => channel.subarray(from, to)),
+    trimStart,
+    trimEnd
+  };
+};
+
+const noSpeechError = (seconds) => {
+  const error = new Error(
+    `No speech found in the last ${Math.round(seconds)} seconds (silence or music). ` +
+    'Play on a little or choose a longer explain window.'
+  );
+  error.isNoSpeech = true;
+  return error;
+};
+
+/**
+ * Capture an explain clip for any [startTime, endTime] range. Decodes just that
+ * range of the book, across part boundaries if needed. Works while paused or right after a seek because it does not
+ * depend on real-time recording. Leading and trailing silence is trimmed, and
+ * a mostly silent window is widened backwards once before giving up.
+ * @param {number} startTime - Clip start in book seconds
+ * @param {number} endTime - Clip end in book seconds
+ * @param {Object} [book] - Book to capture from (defaults to the loaded book)
+ * @param {Object} [options]
+ * @param {boolean} [options.widenIfSilent] - Look further back when the range is mostly silent
+ * @returns {Promise<Object>} - { audioBlob, mimeType, filename, startTime, endTime }
+ */
+export const captureClip = async (startTime, endTime, book = loadedBook, { widenIfSilent = true } = {}) => {
+  let clip = await readClipChannels(startTime, endTime, book);
+  let speech = trimToSpeech(clip.channels, clip.sampleRate);
+  
+  const widenedStart = Math.max(0, clip.end - Math.min(MAX_EXPLAIN_WINDOW_SECONDS, (clip.end - clip.start) * 2));
+  
+  // Nothing to gain when the window is already at its maximum or the start of the book
+  if (widenIfSilent && speech.speechRatio < MOSTLY_SILENT_RATIO && widenedStart < clip.start) {
+    logDebug('Clip mostly silent, widening window backwards', {
+      from: clip.start,
+      to: widenedStart,
+      speechRatio: speech.speechRatio
+    });
+    
+    const widened = await readClipChannels(widenedStart, clip.end, book);
+    const widenedSpeech = trimToSpeech(widened.channels, widened.sampleRate);
+    if (widenedSpeech.speechSeconds > speech.speechSeconds) {
+      clip = widened;
+      speech = widenedSpeech;
+    }
+  }
+  
+  if (!speech.hasSpeech) {
+    throw noSpeechError(clip.end - clip.start);
+  }
+  
+  // 16 kHz mono WAV keeps uploads small and always decodable by Whisper
+  const encoded = await encodeForTranscription(speech.channels, clip.sampleRate);
+  
+  const result = {
+    ...encoded,
+    startTime: clip.start + speech.trimStart,
+    endTime: clip.start + speech.trimEnd
+  };
+  
+  logDebug('Clip captured', {
+    size: result.audioBlob.size,
+    sizeKB: Math.round(result.audioBlob.size / 1024),
+    duration: result.endTime - result.startTime
+  });
+  
+  return result;
+};
+
+/**
+ * Capture exactly the [startTime, endTime] range a listener selected. Unlike the
+ * explain window this never widens and never uses the live recorder, so any part
+ * of the book can be explained, played or not.
+ * @param {number} startTime - Range start in book seconds
+ * @param {number} endTime - Range end in book seconds
+ * @param {Object} [book] - Book to capture from (defaults to the loaded book)
+ * @returns {Promise<Object>} - { audioBlob, mimeType, filename, startTime, endTime }
+ */
+export const captureRange = async (startTime, endTime, book = loadedBook) => {
+  const duration = book ? book.duration : Infinity;
+  const start = Math.max(0, Math.min(startTime, endTime));
+  const end = Math.min(duration, Math.max(startTime, endTime));
+  
+  if (end - start < MIN_EXPLAIN_WINDOW_SECONDS) {
+    throw new Error(`Select at least ${MIN_EXPLAIN_WINDOW_SECONDS} seconds to explain`);
+  }
+  if (end - start > MAX_EXPLAIN_RANGE_SECONDS) {
+    throw new Error(`Select at most ${MAX_EXPLAIN_RANGE_SECONDS / 60} minutes to explain`);
+  }
+  
+  logDebug('Capturing selected range', { start, end });
+  return captureClip(start, end, book, { widenIfSilent: false });
+};
+
+/**
+ * Get the explain clip for the window ending at endTime. Uses an on-demand
+ * range decode, and only falls back to the live
+ * MediaRecorder buffer when the file cannot be range decoded.
+ * @param {number} windowSeconds - Length of the explain window
+ * @param {number|null} endTime - Playback position the window ends at (defaults to the current position)
+ * @param {Object} [book] - Book to capture from (defaults to the loaded book)
+ * @returns {Promise<Object>} - { audioBlob, mimeType, filename }
+ */
+export const stopRecording = async (windowSeconds = DEFAULT_EXPLAIN_WINDOW_SECONDS, endTime = null, book = loadedBook) => {
+  const windowLength = clampExplainWindow(windowSeconds);
+  const clipEnd = endTime !== null ? endTime : getCurrentPlaybackTime();
+  
+  try {
+    return await captureClip(clipEnd - windowLength, clipEnd, book);
+  } catch (error) {
+    const canUseRecorder = mediaRecorder && isRecordingActive && book === loadedBook;
+    if (!canUseRecorder || error.isNoSpeech || error.isTooEarly) {
+      throw error;
+    }
+    logDebug('Clip capture failed, falling back to MediaRecorder capture', { error: error.message });
+    return captureFromMediaRecorder(windowLength, clipEnd);
+  }
+};
+
+// Newest run of chunks that played continuously up to endTime, going back windowSeconds of book time
+const selectChunksForWindow = (windowSeconds, endTime) => {
+  const windowStart = endTime - windowSeconds;
+  const slack = (chunkDuration / 1000) * MAX_PLAYBACK_RATE;
+  const selected = [];
+  
+  for (let i = recentChunksBuffer.length - 1; i >= 0; i--) {
+    const chunk = recentChunksBuffer[i];
+    const newer = selected[0];
+    
+    if (!newer && Math.abs(chunk.position - endTime) > slack) {
+      continue; // recorded after the explain position, e.g. still flushing
+    }
+    // A jump in position means a seek happened here
+    if (newer && (chunk.position > newer.position || newer.position - chunk.position > slack)) {
+      break;
+    }
+    if (chunk.position <= windowStart) {
+      break;
+    }
+    selected.unshift(chunk);
+  }
+  
+  return selected;
+};
+
+const captureFromMediaRecorder = (windowSeconds, endTime) => {
   return new Promise((resolve, reject) => {
     try {
       logDebug('Stop recording requested', {
         mediaRecorderState: mediaRecorder?.state,
         isRecordingActive,
-        bufferSize: lastTenSecondsBuffer.length
+        bufferSize: recentChunksBuffer.length,
+        windowSeconds,
+        endTime
       });
       
       if (!mediaRecorder || mediaRecorder.state === 'inactive' || !isRecordingActive) {
@@ -408,8 +1336,8 @@ export const stopRecording = () => {
       
       isResetting = true;
       
-      // Create a clean copy of the buffer for the last 10 seconds
-      const bufferCopy = [...lastTenSecondsBuffer];
+      // Create a clean copy of the buffer limited to the requested window
+      const bufferCopy = selectChunksForWindow(windowSeconds, endTime);
       const chunksCopy = [...recordedChunks];
       
       // Validate buffer before processing
@@ -450,23 +1378,29 @@ export const stopRecording = () => {
           
           // Enhanced audio blob creation with validation
           const properAudioBlob = await createProperAudioFile(processedChunks, chunks, mimeType);
-          const resultMimeType = properAudioBlob.type || mimeType;
           
           // Validate the created blob
           if (properAudioBlob.size === 0) {
             throw new Error('Created audio blob is empty');
           }
           
-          // iOS-specific size validation
-          if (isIOS && properAudioBlob.size > 25 * 1024 * 1024) { // 25MB limit
-            throw new Error(`Audio blob too large for iOS: ${Math.round(properAudioBlob.size / 1024 / 1024)}MB`);
+          // Re-encode the recorder container as 16 kHz mono WAV so the upload format never varies
+          const decoded = await decodeAudioBlob(properAudioBlob);
+          const channels = [];
+          for (let c = 0; c < decoded.numberOfChannels; c++) {
+            channels.push(decoded.getChannelData(c));
+          }
+          
+          const speech = trimToSpeech(channels, decoded.sampleRate);
+          if (!speech.hasSpeech) {
+            throw noSpeechError(decoded.duration);
           }
+          const result = await encodeForTranscription(speech.channels, decoded.sampleRate);
           
-          const result = {
-            audioBlob: properAudioBlob,
-            mimeType: resultMimeType,
-            filename: `audio.${getFileExtensionFromMimeType(resultMimeType)}`
-          };
+          // iOS-specific size validation
+          if (isIOS && result.audioBlob.size > 25 * 1024 * 1024) { // 25MB limit
+            throw new Error(`Audio blob too large for iOS: ${Math.round(result.audioBlob.size / 1024 / 1024)}MB`);
+          }
           
           logDebug('Audio processing complete', {
             size: result.audioBlob.size,
@@ -556,7 +1490,7 @@ const createProperAudioFile = async (chunks, allChunks, mimeType) => {
       const headerChunk = allChunks.length > 0 ? allChunks[0] : null;
       
       if (headerChunk) {
-        // Combine header with the last 10 seconds chunks
+        // Combine header with the chunks inside the explain window
         const finalChunks = [headerChunk, ...chunks.filter(chunk => chunk !== headerChunk)];
         
         const blob = new Blob(finalChunks, { type: mimeType });
@@ -602,32 +1536,6 @@ const createProperAudioFile = async (chunks, allChunks, mimeType) => {
   }
 };
 
-const getFileExtensionFromMimeType = (mimeType) => {
-  if (mimeType.includes('mp4')) return 'mp4';
-  if (mimeType.includes('webm')) return 'webm';
-  if (mimeType.includes('ogg')) return 'ogg';
-  if (mimeType.includes('mp3') || mimeType.includes('mpeg')) return 'mp3';
-  if (mimeType.includes('wav')) return 'wav';
-  return isIOS ? 'mp4' : 'webm'; // Default based on platfor
-};
-
-const readFileAsArrayBuffer = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (event) => {
-      resolve(event.target.result);
-    };
-    
-    reader.onerror = (error) => {
-      logDebug('Error reading file as ArrayBuffer', { error: error.toString() });
-      reject(error);
-    };
-    
-    reader.readAsArrayBuffer(file);
-  });
-};
-
 // Export device detection and debug functions
 export const getDeviceInfo = () => {
   return {
@@ -646,9 +1554,9 @@ export const getDeviceInfo = () => {
 export const getDebugInfo = () => {
   return {
     bufferState: {
-      bufferSize: lastTenSecondsBuffer.length,
-      maxBufferSize: MAX_BUFFER_SIZE,
-      chunksFor10Seconds: maxChunksFor10Seconds,
+      bufferSize: recentChunksBuffer.length,
+      maxBufferSize: maxChunksForWindow,
+      bufferRetentionMs,
       chunkDuration,
       isRecordingActive,
       totalRecordedChunks: recordedChunks.length
@@ -1,4 +1,7 @@
 // audioTroubleshooter.js - Helper functions to debug audio format issues
+import { readBlobAsArrayBuffer } from './fileBytes';
+import { getMp4Brand } from './mp4Parser';
+import { sniffContainer } from './formatDetector';
 
 /**
  * Checks if the audio blob has a valid WebM format header
@@ -16,7 +19,7 @@ export const checkAudioFormat = async (blob) => {
       };
       
       // Get the first 50 bytes to check headers
-      const buffer = await blob.slice(0, 50).arrayBuffer();
+      const buffer = await readBlobAsArrayBuffer(blob, 0, Math.min(50, blob.size));
       const header = new Uint8Array(buffer);
       
       // Convert to hex for logging
@@ -63,6 +66,33 @@ export const checkAudioFormat = async (blob) => {
         result.isValid = true;
         result.format = 'wav';
         result.details.wav = true;
+        
+        // Canonical 44-byte header: fmt chunk immediately follows "WAVE"
+        const view = new DataView(buffer);
+        if (header.length >= 36 && view.getUint32(12, false) === 0x666D7420) { // "fmt "
+          result.details.audioFormat = view.getUint16(20, true);
+          result.details.channels = view.getUint16(22, true);
+          result.details.sampleRate = view.getUint32(24, true);
+          result.details.bitsPerSample = view.getUint16(34, true);
+        }
+      }
+      
+      // Check for MP4 header
+      // M4A/M4B/MP4 files start with an "ftyp" box naming the major brand
+      else if (getMp4Brand(header)) {
+        result.isValid = true;
+        result.format = 'mp4';
+        result.details.mp4 = true;
+        result.details.brand = getMp4Brand(header).trim();
+        result.details.audiobook = result.details.brand === 'M4B';
+      }
+      
+      // Check for other audiobook containers
+      // FLAC, AAC ADTS, CAF, AIFF and Audible AA each have their own magic bytes
+      else if (sniffContainer(header)) {
+        result.format = sniffContainer(header);
+        result.isValid = result.format !== 'aa';
+        result.details[result.format] = true;
       }
       
       return result;
@@ -77,21 +107,6 @@ export const checkAudioFormat = async (blob) => {
     }
   };
   
-  /**
-   * Converts an audio blob to MP3 format using Web Audio API
-   * Note: This is experimental and may not work in all browsers
-   * @param {Blob} audioBlob - The audio blob to convert
-   * @returns {Promise<Blob>} - An MP3 blob
-   */
-  export const convertToMP3 = async (audioBlob) => {
-    // This is a placeholder for future implementation
-    // Web Audio API doesn't natively support MP3 encoding
-    // You would need a library like lamejs for this
-    
-    console.warn('MP3 conversion not implemented yet - returning original blob');
-    return audioBlob;
-  };
-  
   /**
    * Checks if MediaRecorder supports various audio formats
    * @returns {Object} - Object with supported formats
@@ -187,7 +202,6 @@ export const checkAudioFormat = async (blob) => {
   
   export default {
     checkAudioFormat,
-    convertToMP3,
     checkMediaRecorderSupport,
     analyzeAudioBufferService
   };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// Bookmarks - Marked moments in a book with a note and optionally the explanation around them, kept in IndexedDB
+import { getChapterTitle } from './audioBook';
+import { openDatabase, requestToPromise, transactionDone, BOOKMARKS_STORE } from './database';
+
+console.log('[bookmarks.js] Loading bookmarks service');
+
+const byTime = (a, b) => a.time - b.time;
+
+// Write bookmarks in one transaction, with a readable error when storage is full
+const putBookmarks = async (bookmarks) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(BOOKMARKS_STORE, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(BOOKMARKS_STORE);
+  bookmarks.forEach(bookmark => store.put(bookmark));
+
+  try {
+    await done;
+  } catch (error) {
+    if (error && error.name === 'QuotaExceededError') {
+      throw new Error('Not enough storage to save the bookmark');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Bookmarks of a book in timeline order
+ * @param {Object} book - Book from createAudioBook
+ * @returns {Promise<Object[]>} - [{ id, bookId, time, chapterTitle, note, createdAt, updatedAt, transcript, explanation, explainedRange }]
+ */
+export const getBookmarks = async (book) => {
+  const db = await openDatabase();
+  const store = db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE);
+  const bookmarks = await requestToPromise(store.index('bookId').getAll(book.id));
+  return bookmarks.sort(byTime);
+};
+
+/**
+ * Bookmark a position in a book
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Position in book seconds
+ * @param {string} [note] - User note
+ * @returns {Promise<Object>} - { bookmark, bookmarks } with the new bookmark and the updated list
+ */
+export const addBookmark = async (book, time, note = '') => {
+  const now = Date.now();
+  const bookmark = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    bookId: book.id,
+    time: Math.round(Math.max(0, Math.min(book.duration, time)) * 10) / 10,
+    chapterTitle: getChapterTitle(book, time),
+    note,
+    createdAt: now,
+    updatedAt: now,
+    transcript: null,
+    explanation: null,
+    explainedRange: null
+  };
+
+  await putBookmarks([bookmark]);
+
+  console.log('[bookmarks.js] Bookmark added at', bookmark.time, bookmark.chapterTitle || '');
+  return { bookmark, bookmarks: await getBookmarks(book) };
+};
+
+/**
+ * Change a bookmark's note or attach an explanation to it
+ * @param {Object} book - Book from createAudioBook
+ * @param {string} id - Bookmark id
+ * @param {Object} changes - Any of { note, transcript, explanation, explainedRange }
+ * @returns {Promise<Object[]>} - The updated list
+ */
+export const updateBookmark = async (book, id, changes) => {
+  const db = await openDatabase();
+  const bookmark = await requestToPromise(db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE).get(id));
+
+  // Deleted while an explanation was on its way
+  if (bookmark) {
+    await putBookmarks([{ ...bookmark, ...changes, updatedAt: Date.now() }]);
+  }
+  return getBookmarks(book);
+};
+
+/**
+ * Delete a bookmark
+ * @param {Object} book - Book from createAudioBook
+ * @param {string} id - Bookmark id
+ * @returns {Promise<Object[]>} - The updated list
+ */
+export const removeBookmark = async (book, id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(BOOKMARKS_STORE, 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(BOOKMARKS_STORE).delete(id);
+  await done;
+
+  console.log('[bookmarks.js] Bookmark removed:', id);
+  return getBookmarks(book);
+};
+
+/**
+ * The stretch of audio around a bookmark to explain: the explain window,
+ * centred on the bookmark and kept inside the book
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Bookmark position in book seconds
+ * @param {number} windowSeconds - Length of the explain window
+ * @returns {Object} - { start, end }
+ */
+export const getBookmarkWindow = (book, time, windowSeconds) => {
+  const length = Math.min(windowSeconds, book.duration);
+  const start = Math.max(0, Math.min(book.duration - length, time - length / 2));
+  return { start, end: start + length };
+};
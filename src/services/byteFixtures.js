@@ -0,0 +1,51 @@
+// Byte Fixtures - Builders for the small hand-made audio files the parser tests read
+
+export const u16 = (n) => [(n >>> 8) & 0xFF, n & 0xFF];
+export const u32 = (n) => [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+export const u64 = (n) => [...u32(Math.floor(n / 2 ** 32)), ...u32(n % 2 ** 32)];
+export const u16le = (n) => [n & 0xFF, (n >>> 8) & 0xFF];
+export const u32le = (n) => [n & 0xFF, (n >>> 8) & 0xFF, (n >>> 16) & 0xFF, (n >>> 24) & 0xFF];
+export const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+export const zeros = (length) => new Array(length).fill(0);
+
+// ID3v2 "syncsafe" integer: 7 bits per byte so no byte looks like a frame sync
+export const syncsafe = (n) => [(n >>> 21) & 0x7F, (n >>> 14) & 0x7F, (n >>> 7) & 0x7F, n & 0x7F];
+
+/**
+ * Join byte arrays, typed arrays and ASCII strings into one Uint8Array
+ * @param {...(number[]|Uint8Array|string)} parts
+ * @returns {Uint8Array}
+ */
+export const bytesOf = (...parts) => Uint8Array.from(parts.flatMap(part => (typeof part === 'string' ? ascii(part) : Array.from(part))));
+
+/**
+ * Wrap bytes in a File, the way the app receives books
+ * @param {number[]|Uint8Array} bytes
+ * @param {string} [name]
+ * @returns {File}
+ */
+export const fileOf = (bytes, name = 'book') => new File([Uint8Array.from(bytes)], name);
+
+// MPEG-1 Layer III at 48 kHz, joint stereo: 128 kbps frames are 384 bytes, 160 kbps frames 480
+export const MP3_FRAME_HEADERS = { 384: [0xFF, 0xFB, 0x94, 0x64], 480: [0xFF, 0xFB, 0xA4, 0x64] };
+export const MP3_SECONDS_PER_FRAME = 1152 / 48000;
+
+/**
+ * One MP3 frame whose first payload byte holds its number, so tests can tell which frames were read
+ * @param {number} [number] - Frame number, kept to 7 bits
+ * @param {number} [size] - 384 or 480
+ * @returns {number[]}
+ */
+export const mp3Frame = (number = 0, size = 384) => {
+  const frame = [...MP3_FRAME_HEADERS[size], ...zeros(size - 4)];
+  frame[4] = number & 0x7F;
+  return frame;
+};
+
+/**
+ * A run of numbered MP3 frames
+ * @param {number} count
+ * @param {Function} [sizeOf] - Frame size for each frame index
+ * @returns {number[]}
+ */
+export const mp3Frames = (count, sizeOf = () => 384) => Array.from({ length: count }, (_, i) => mp3Frame(i, sizeOf(i))).flat();
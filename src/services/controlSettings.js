@@ -0,0 +1,79 @@
+// Control Settings - Skip intervals, resume rewind and hardware/car button mapping
+import { getSetting, setSetting } from './settingsService';
+
+console.log('[controlSettings.js] Loading control settings');
+
+export const SKIP_INTERVALS = [10, 15, 30, 60];
+export const DEFAULT_SKIP_BACK_SECONDS = 15;
+export const DEFAULT_SKIP_FORWARD_SECONDS = 30;
+
+// How far a reopened book jumps back from where it was left; 0 turns it off
+export const RESUME_REWIND_OPTIONS = [0, 5, 10, 30];
+export const DEFAULT_RESUME_REWIND_SECONDS = 5;
+
+// Media Session actions that hardware, lock screen and car buttons send
+export const HARDWARE_BUTTONS = [
+  { action: 'previoustrack', label: 'Previous track' },
+  { action: 'nexttrack', label: 'Next track' },
+  { action: 'seekbackward', label: 'Seek back' },
+  { action: 'seekforward', label: 'Seek forward' }
+];
+
+// What a button can do. "skip" goes back for previous/seek back and forward for next/seek forward.
+export const BUTTON_ACTIONS = [
+  { value: 'explain', label: 'Explain' },
+  { value: 'skip', label: 'Skip' },
+  { value: 'bookmark', label: 'Bookmark' },
+  { value: 'none', label: 'Nothing' }
+];
+
+// Previous keeps triggering explain, as car users are used to
+export const DEFAULT_BUTTON_MAPPING = {
+  previoustrack: 'explain',
+  nexttrack: 'skip',
+  seekbackward: 'skip',
+  seekforward: 'skip'
+};
+
+// Buttons that skip backwards when mapped to "skip"
+export const isBackwardButton = (action) => action === 'previoustrack' || action === 'seekbackward';
+
+const clampSkipInterval = (seconds, fallback) => {
+  return SKIP_INTERVALS.includes(Number(seconds)) ? Number(seconds) : fallback;
+};
+
+/**
+ * Load skip intervals, resume rewind and the button mapping, repairing anything invalid
+ * @returns {Object} - { skipBackSeconds, skipForwardSeconds, resumeRewindSeconds, buttonMapping }
+ */
+export const loadControlSettings = () => {
+  const savedMapping = getSetting('buttonMapping', {}) || {};
+  const validActions = BUTTON_ACTIONS.map(item => item.value);
+  const buttonMapping = {};
+
+  HARDWARE_BUTTONS.forEach(({ action }) => {
+    buttonMapping[action] = validActions.includes(savedMapping[action])
+      ? savedMapping[action]
+      : DEFAULT_BUTTON_MAPPING[action];
+  });
+
+  return {
+    skipBackSeconds: clampSkipInterval(getSetting('skipBackSeconds'), DEFAULT_SKIP_BACK_SECONDS),
+    skipForwardSeconds: clampSkipInterval(getSetting('skipForwardSeconds'), DEFAULT_SKIP_FORWARD_SECONDS),
+    resumeRewindSeconds: RESUME_REWIND_OPTIONS.includes(Number(getSetting('resumeRewindSeconds')))
+      ? Number(getSetting('resumeRewindSeconds'))
+      : DEFAULT_RESUME_REWIND_SECONDS,
+    buttonMapping
+  };
+};
+
+/**
+ * Persist control settings
+ * @param {Object} settings - Any of { skipBackSeconds, skipForwardSeconds, resumeRewindSeconds, buttonMapping }
+ */
+export const saveControlSettings = ({ skipBackSeconds, skipForwardSeconds, resumeRewindSeconds, buttonMapping }) => {
+  if (skipBackSeconds !== undefined) setSetting('skipBackSeconds', skipBackSeconds);
+  if (skipForwardSeconds !== undefined) setSetting('skipForwardSeconds', skipForwardSeconds);
+  if (resumeRewindSeconds !== undefined) setSetting('resumeRewindSeconds', resumeRewindSeconds);
+  if (buttonMapping !== undefined) setSetting('buttonMapping', buttonMapping);
+};
@@ -0,0 +1,91 @@
+// Database - The app's IndexedDB database, shared by the library, bookmarks, the explanation history and waveforms
+console.log('[database.js] Loading database service');
+
+const DB_NAME = 'audiobook-explainer';
+const DB_VERSION = 4;
+
+export const BOOKS_STORE = 'books';
+export const FILES_STORE = 'files';
+export const BOOKMARKS_STORE = 'bookmarks';
+export const EXPLANATIONS_STORE = 'explanations';
+export const WAVEFORMS_STORE = 'waveforms';
+
+let dbPromise = null;
+
+/**
+ * Resolve with the result of an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+export const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Database transaction was aborted'));
+  });
+};
+
+// Each version only adds what it introduced, so older databases upgrade step by step
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    db.createObjectStore(BOOKS_STORE, { keyPath: 'id' });
+    db.createObjectStore(FILES_STORE, { keyPath: 'key' });
+  }
+  if (oldVersion < 2) {
+    const bookmarks = db.createObjectStore(BOOKMARKS_STORE, { keyPath: 'id' });
+    bookmarks.createIndex('bookId', 'bookId');
+  }
+  if (oldVersion < 3) {
+    const explanations = db.createObjectStore(EXPLANATIONS_STORE, { keyPath: 'id' });
+    explanations.createIndex('bookId', 'bookId');
+  }
+  if (oldVersion < 4) {
+    db.createObjectStore(WAVEFORMS_STORE, { keyPath: 'bookId' });
+  }
+};
+
+/**
+ * Open the database, creating or upgrading it on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // A newer version opened in another tab needs this connection out of the way
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The app is open in another tab with an older version. Close it and try again.'));
+    }).catch(error => {
+      // Let the next call try again instead of caching the failure
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
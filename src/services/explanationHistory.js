@@ -0,0 +1,59 @@
+// Explanation History - Every explanation kept in IndexedDB with its book, passage, transcription, model and latency
+import { openDatabase, requestToPromise, transactionDone, EXPLANATIONS_STORE } from './database';
+
+console.log('[explanationHistory.js] Loading explanation history service');
+
+/**
+ * Keep an explanation in the history
+ * @param {Object} entry - { bookId, bookTitle, chapterTitle, start, end, source ('window', 'range' or 'bookmark'), transcription, explanation, transcriptionModel, model, latencyMs }
+ * @returns {Promise<Object>} - The stored entry, with its id and createdAt
+ */
+export const addExplanation = async (entry) => {
+  const createdAt = Date.now();
+  const stored = {
+    ...entry,
+    id: `${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    createdAt
+  };
+
+  const db = await openDatabase();
+  const transaction = db.transaction(EXPLANATIONS_STORE, 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(EXPLANATIONS_STORE).put(stored);
+  await done;
+
+  console.log('[explanationHistory.js] Saved explanation for', entry.bookTitle, 'at', entry.start);
+  return stored;
+};
+
+/**
+ * Stored explanations, newest first
+ * @param {string|null} [bookId] - Only this book's explanations; all books when null
+ * @returns {Promise<Object[]>}
+ */
+export const listExplanations = async (bookId = null) => {
+  const db = await openDatabase();
+  const store = db.transaction(EXPLANATIONS_STORE).objectStore(EXPLANATIONS_STORE);
+  const entries = await requestToPromise(bookId ? store.index('bookId').getAll(bookId) : store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Full-text filter: every word of the query must appear in the explanation,
+ * transcription, chapter or book title (case-insensitive)
+ * @param {Object[]} entries - History entries
+ * @param {string} query - Search text
+ * @returns {Object[]}
+ */
+export const searchExplanations = (entries, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return entries;
+
+  return entries.filter(entry => {
+    const text = [entry.explanation, entry.transcription, entry.chapterTitle, entry.bookTitle]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+};
@@ -0,0 +1,52 @@
+// File Bytes - Random access reads from File/Blob objects without loading them whole
+
+/**
+ * Read a Blob (or a byte range of it) into an ArrayBuffer.
+ * Blob.arrayBuffer() is missing before Safari 14, so fall back to FileReader.
+ * @param {Blob} blob - File or Blob to read
+ * @param {number} [start] - First byte (inclusive)
+ * @param {number} [end] - Last byte (exclusive)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readBlobAsArrayBuffer = (blob, start = 0, end = blob.size) => {
+  const slice = start === 0 && end === blob.size ? blob : blob.slice(start, end);
+
+  if (typeof slice.arrayBuffer === 'function') {
+    return slice.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(slice);
+  });
+};
+
+/**
+ * Read a byte range as a Uint8Array
+ * @param {Blob} blob - File or Blob to read
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (exclusive), clamped to the blob size
+ * @returns {Promise<Uint8Array>}
+ */
+export const readBytes = async (blob, start, end) => {
+  const buffer = await readBlobAsArrayBuffer(blob, Math.max(0, start), Math.min(blob.size, end));
+  return new Uint8Array(buffer);
+};
+
+// Read a four-character code such as "ftyp" or "moov"
+export const readFourCC = (bytes, offset) => {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+};
+
+/**
+ * Format a byte count for display, e.g. "840 KB", "312 MB" or "1.4 GB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
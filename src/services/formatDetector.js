@@ -0,0 +1,247 @@
+// Format Detector - Identifies audio containers and codecs from their magic bytes and checks the browser can play them
+import { readBytes, readFourCC } from './fileBytes';
+import { getMp4Brand, readMoov, getTracks, readSampleTable } from './mp4Parser';
+import { findMp3Frame } from './rangeDecoder';
+
+console.log('[formatDetector.js] Loading format detector');
+
+// Bytes read up front; enough for every header below, including Ogg and WebM codec ids
+const SNIFF_BYTES = 4096;
+
+// Human-readable codec names for error messages
+const CODEC_LABELS = {
+  mp3: 'MP3',
+  aac: 'AAC',
+  'he-aac': 'HE-AAC',
+  alac: 'ALAC (Apple Lossless)',
+  flac: 'FLAC',
+  opus: 'Opus',
+  vorbis: 'Vorbis',
+  pcm: 'PCM',
+  'ac-3': 'Dolby Digital (AC-3)',
+  'ec-3': 'Dolby Digital Plus (E-AC-3)',
+  speex: 'Speex'
+};
+
+const CONTAINER_LABELS = {
+  mp3: 'MP3',
+  adts: 'AAC',
+  mp4: 'MP4/M4A/M4B',
+  flac: 'FLAC',
+  ogg: 'Ogg',
+  webm: 'WebM',
+  wav: 'WAV',
+  aiff: 'AIFF',
+  caf: 'CAF'
+};
+
+const DRM_MESSAGE = 'files are DRM protected and aren\'t supported. Convert the book to an unprotected M4B or MP3 first.';
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+const indexOfAscii = (bytes, text) => {
+  const codes = Array.from(text, char => char.charCodeAt(0));
+  for (let i = 0; i + codes.length <= bytes.length; i++) {
+    if (codes.every((code, j) => bytes[i + j] === code)) return i;
+  }
+  return -1;
+};
+
+const getId3Size = (bytes) => {
+  if (bytes.length < 10 || ascii(bytes, 0, 3) !== 'ID3') return 0;
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  return 10 + size + (bytes[5] & 0x10 ? 10 : 0); // footer
+};
+
+/**
+ * Identify the container from the first bytes of a file
+ * @param {Uint8Array} bytes - Leading bytes (an ID3 tag, if any, must already be skipped)
+ * @returns {string|null} - mp3, adts, mp4, flac, ogg, webm, wav, aiff, caf, aa, or null if unrecognised
+ */
+export const sniffContainer = (bytes) => {
+  if (bytes.length < 4) return null;
+  const magic = ascii(bytes, 0, 4);
+
+  if (magic === 'fLaC') return 'flac';
+  if (magic === 'OggS') return 'ogg';
+  if (magic === 'caff') return 'caf';
+  if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return 'webm';
+  if (magic === 'RIFF' && bytes.length >= 12 && ascii(bytes, 8, 12) === 'WAVE') return 'wav';
+  if (magic === 'FORM' && bytes.length >= 12 && ['AIFF', 'AIFC'].includes(ascii(bytes, 8, 12))) return 'aiff';
+  if (getMp4Brand(bytes)) return 'mp4';
+  // Audible .aa: file size, then magic 57 90 75 36
+  if (bytes.length >= 8 && bytes[4] === 0x57 && bytes[5] === 0x90 && bytes[6] === 0x75 && bytes[7] === 0x36) return 'aa';
+
+  // MPEG audio frame sync: layer bits 00 mean AAC ADTS, anything else is MPEG-1/2 audio
+  if (bytes[0] === 0xFF && (bytes[1] & 0xF0) === 0xF0 && (bytes[1] & 0x06) === 0) return 'adts';
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0) return 'mp3';
+
+  // Some encoders and cutters leave junk before the first MP3 frame; accept it
+  // when a second frame header follows where the first one ends, like the range decoder does
+  const frame = findMp3Frame(bytes, 1);
+  if (frame && frame.offset + frame.header.frameLength + 4 <= bytes.length) return 'mp3';
+
+  return null;
+};
+
+// Codec inside an Ogg stream, from the first packet of the first page
+const getOggCodec = (bytes) => {
+  const packetStart = 27 + bytes[26];
+  const packet = ascii(bytes, packetStart, packetStart + 8);
+  if (packet.startsWith('OpusHead')) return 'opus';
+  if (packet.startsWith('\x01vorbis')) return 'vorbis';
+  if (packet.startsWith('\x7FFLAC')) return 'flac';
+  if (packet.startsWith('Speex')) return 'speex';
+  return null;
+};
+
+// WebM/Matroska codec id of the first audio track
+const getWebmCodec = (bytes) => {
+  if (indexOfAscii(bytes, 'A_OPUS') >= 0) return 'opus';
+  if (indexOfAscii(bytes, 'A_VORBIS') >= 0) return 'vorbis';
+  if (indexOfAscii(bytes, 'A_AAC') >= 0) return 'aac';
+  if (indexOfAscii(bytes, 'A_FLAC') >= 0) return 'flac';
+  return null;
+};
+
+// WAVE_FORMAT tag of the fmt chunk, wherever it sits
+const getWavCodec = (bytes) => {
+  const fmt = indexOfAscii(bytes, 'fmt ');
+  if (fmt < 0 || fmt + 10 > bytes.length) return null;
+  const formatTag = bytes[fmt + 8] | (bytes[fmt + 9] << 8);
+  if (formatTag === 1 || formatTag === 3 || formatTag === 0xFFFE) return 'pcm';
+  if (formatTag === 0x55) return 'mp3';
+  return `wav-0x${formatTag.toString(16)}`;
+};
+
+// CAF "desc" chunk: 8-byte sample rate, then the format id
+const getCafCodec = (bytes) => {
+  if (ascii(bytes, 8, 12) !== 'desc') return null;
+  const formatId = readFourCC(bytes, 28);
+  const codecs = { 'aac ': 'aac', alac: 'alac', lpcm: 'pcm', opus: 'opus', '.mp3': 'mp3', 'ac-3': 'ac-3', 'ec-3': 'ec-3' };
+  return codecs[formatId] || formatId.trim();
+};
+
+// Sound track codec of an MP4, plus its RFC 6381 codecs string
+const getMp4Codec = async (file) => {
+  const movie = await readMoov(file);
+  const track = getTracks(movie).find(candidate => candidate.handlerType === 'soun');
+  if (!track) return { codec: null };
+
+  const table = readSampleTable(movie, track);
+  switch (table.codec) {
+    case 'mp4a': {
+      const objectType = table.audioConfig ? table.audioConfig.objectType : 2;
+      const sbr = table.audioConfig && table.audioConfig.hasSbr;
+      return { codec: sbr ? 'he-aac' : 'aac', codecs: `mp4a.40.${sbr ? 5 : objectType}` };
+    }
+    case 'alac': return { codec: 'alac', codecs: 'alac' };
+    case 'fLaC': return { codec: 'flac', codecs: 'flac' };
+    case 'Opus': return { codec: 'opus', codecs: 'opus' };
+    case 'ac-3': return { codec: 'ac-3', codecs: 'ac-3' };
+    case 'ec-3': return { codec: 'ec-3', codecs: 'ec-3' };
+    case 'drms':
+    case 'aavd':
+    case 'enca': return { codec: 'drm' };
+    default: return { codec: table.codec };
+  }
+};
+
+// MIME type (with codecs where it matters) to ask canPlayType about
+const getMimeType = (container, codec, codecs) => {
+  switch (container) {
+    case 'mp3': return 'audio/mpeg';
+    case 'adts': return 'audio/aac';
+    case 'mp4': return codecs ? `audio/mp4; codecs="${codecs}"` : 'audio/mp4';
+    case 'flac': return 'audio/flac';
+    case 'ogg': return codec ? `audio/ogg; codecs="${codec}"` : 'audio/ogg';
+    case 'webm': return codec ? `audio/webm; codecs="${codec}"` : 'audio/webm';
+    case 'wav': return codec === 'pcm' ? 'audio/wav; codecs="1"' : 'audio/wav';
+    case 'aiff': return 'audio/aiff';
+    case 'caf': return 'audio/x-caf';
+    default: return null;
+  }
+};
+
+// canPlayType answers "", "maybe" or "probably"; treat anything but "" as playable
+const canBrowserPlay = (mimeType) => {
+  if (!mimeType) return false;
+  try {
+    const audio = document.createElement('audio');
+    return audio.canPlayType(mimeType) !== '';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Identify a file's container and codec and check this browser can decode it
+ * @param {File} file - Audio file
+ * @returns {Promise<Object>} - { container, codec, mimeType, label, isSupported, error }
+ */
+export const detectAudioFormat = async (file) => {
+  let bytes = await readBytes(file, 0, SNIFF_BYTES);
+
+  // An ID3 tag can sit in front of MP3, AAC or even FLAC data
+  const id3Size = getId3Size(bytes);
+  if (id3Size) {
+    bytes = await readBytes(file, id3Size, id3Size + SNIFF_BYTES);
+  }
+
+  const container = sniffContainer(bytes);
+  const result = { container, codec: null, mimeType: null, label: null, isSupported: false, error: null };
+
+  if (!container) {
+    result.error = `"${file.name}" is not a recognised audio file`;
+    return result;
+  }
+  if (container === 'aa') {
+    result.label = 'Audible AA';
+    result.error = `Audible .aa ${DRM_MESSAGE}`;
+    return result;
+  }
+
+  let codecs = null;
+  if (container === 'mp3') result.codec = 'mp3';
+  else if (container === 'adts') result.codec = 'aac';
+  else if (container === 'flac') result.codec = 'flac';
+  else if (container === 'ogg') result.codec = getOggCodec(bytes);
+  else if (container === 'webm') result.codec = getWebmCodec(bytes);
+  else if (container === 'wav') result.codec = getWavCodec(bytes);
+  else if (container === 'aiff') result.codec = 'pcm';
+  else if (container === 'caf') result.codec = getCafCodec(bytes);
+  else if (container === 'mp4') {
+    const brand = (getMp4Brand(bytes) || '').trim().toLowerCase();
+    if (brand === 'aax' || brand === 'aaxc') {
+      result.label = 'Audible AAX';
+      result.error = `AAX ${DRM_MESSAGE}`;
+      return result;
+    }
+    try {
+      ({ codec: result.codec, codecs } = await getMp4Codec(file));
+    } catch (error) {
+      console.warn('[formatDetector.js] Could not read MP4 sample description:', error);
+    }
+    if (result.codec === 'drm') {
+      result.label = brand === 'm4p' ? 'iTunes protected AAC' : 'Protected MP4';
+      result.error = `${brand === 'm4p' ? 'iTunes protected (M4P)' : 'This MP4'} ${DRM_MESSAGE}`;
+      return result;
+    }
+  }
+
+  const codecLabel = CODEC_LABELS[result.codec] || result.codec;
+  result.label = codecLabel && codecLabel !== CONTAINER_LABELS[container]
+    ? `${CONTAINER_LABELS[container]} · ${codecLabel}`
+    : CONTAINER_LABELS[container];
+  result.mimeType = getMimeType(container, result.codec, codecs);
+  result.isSupported = canBrowserPlay(result.mimeType);
+
+  if (!result.isSupported) {
+    result.error = codecLabel && container !== 'caf' && container !== 'aiff'
+      ? `${codecLabel} isn't decodable in this browser ("${file.name}")`
+      : `${CONTAINER_LABELS[container]} files aren't playable in this browser ("${file.name}")`;
+  }
+
+  console.log('[formatDetector.js] Detected format', { file: file.name, ...result });
+  return result;
+};
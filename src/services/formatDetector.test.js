@@ -0,0 +1,101 @@
+import { detectAudioFormat, sniffContainer } from './formatDetector';
+import { bytesOf, zeros, fileOf, mp3Frame } from './byteFixtures';
+
+// ID3v2.4 tag with a syncsafe size of 20 bytes
+const id3Tag = () => bytesOf('ID3', [4, 0, 0, 0, 0, 0, 20], zeros(20));
+
+const oggPage = (packet) => bytesOf('OggS', zeros(22), [1, packet.length], packet);
+
+let canPlayType;
+
+beforeEach(() => {
+  canPlayType = jest.spyOn(window.HTMLMediaElement.prototype, 'canPlayType').mockReturnValue('maybe');
+});
+
+afterEach(() => {
+  canPlayType.mockRestore();
+});
+
+test('sniffContainer recognises each container by its magic bytes', () => {
+  expect(sniffContainer(bytesOf('fLaC', zeros(8)))).toBe('flac');
+  expect(sniffContainer(oggPage('OpusHead'))).toBe('ogg');
+  expect(sniffContainer(bytesOf('caff', zeros(8)))).toBe('caf');
+  expect(sniffContainer(bytesOf([0x1A, 0x45, 0xDF, 0xA3], zeros(8)))).toBe('webm');
+  expect(sniffContainer(bytesOf('RIFF', zeros(4), 'WAVE'))).toBe('wav');
+  expect(sniffContainer(bytesOf('FORM', zeros(4), 'AIFF'))).toBe('aiff');
+  expect(sniffContainer(bytesOf('FORM', zeros(4), 'AIFC'))).toBe('aiff');
+  expect(sniffContainer(bytesOf([0, 0, 0, 20], 'ftyp', 'M4B '))).toBe('mp4');
+  expect(sniffContainer(bytesOf([0, 0, 1, 0], [0x57, 0x90, 0x75, 0x36]))).toBe('aa');
+  expect(sniffContainer(bytesOf([0xFF, 0xF1, 0x50, 0x80], zeros(8)))).toBe('adts');
+  expect(sniffContainer(bytesOf(mp3Frame(), mp3Frame()))).toBe('mp3');
+});
+
+test('sniffContainer finds MP3 frames behind leading junk', () => {
+  const junk = bytesOf('junk before the audio', [0xFF, 0x00, 0xFF, 0xE0], zeros(100));
+  expect(sniffContainer(bytesOf(junk, mp3Frame(), mp3Frame()))).toBe('mp3');
+});
+
+test('sniffContainer needs a second frame to trust a sync word behind junk', () => {
+  expect(sniffContainer(bytesOf('junk', mp3Frame()))).toBeNull();
+  expect(sniffContainer(bytesOf('just some text that is not audio at all'))).toBeNull();
+  expect(sniffContainer(bytesOf('abc'))).toBeNull();
+});
+
+test('detectAudioFormat skips an ID3 tag before MP3 frames', async () => {
+  const result = await detectAudioFormat(fileOf(bytesOf(id3Tag(), mp3Frame(), mp3Frame()), 'book.mp3'));
+
+  expect(result).toMatchObject({ container: 'mp3', codec: 'mp3', mimeType: 'audio/mpeg', label: 'MP3', isSupported: true, error: null });
+});
+
+test('detectAudioFormat accepts an untagged MP3 with junk before the first frame', async () => {
+  const result = await detectAudioFormat(fileOf(bytesOf(zeros(300), mp3Frame(), mp3Frame()), 'cut.mp3'));
+
+  expect(result.container).toBe('mp3');
+  expect(result.isSupported).toBe(true);
+});
+
+test('detectAudioFormat reads the codec of each container', async () => {
+  const detect = async (bytes) => detectAudioFormat(fileOf(bytes));
+
+  expect(await detect(oggPage('OpusHead'))).toMatchObject({ codec: 'opus', mimeType: 'audio/ogg; codecs="opus"', label: 'Ogg · Opus' });
+  expect(await detect(oggPage('\x01vorbis'))).toMatchObject({ codec: 'vorbis', label: 'Ogg · Vorbis' });
+  expect(await detect(bytesOf([0x1A, 0x45, 0xDF, 0xA3], zeros(20), 'A_OPUS'))).toMatchObject({ codec: 'opus', mimeType: 'audio/webm; codecs="opus"' });
+  expect(await detect(bytesOf('RIFF', zeros(4), 'WAVE', 'fmt ', [16, 0, 0, 0, 1, 0]))).toMatchObject({ codec: 'pcm', mimeType: 'audio/wav; codecs="1"', label: 'WAV · PCM' });
+  expect(await detect(bytesOf('RIFF', zeros(4), 'WAVE', 'fmt ', [16, 0, 0, 0, 0x55, 0]))).toMatchObject({ codec: 'mp3', label: 'WAV · MP3' });
+  expect(await detect(bytesOf('caff', [0, 1, 0, 0], 'desc', zeros(16), 'aac '))).toMatchObject({ codec: 'aac', label: 'CAF · AAC' });
+  expect(await detect(bytesOf('fLaC', zeros(40)))).toMatchObject({ codec: 'flac', mimeType: 'audio/flac', label: 'FLAC' });
+  expect(await detect(bytesOf('FORM', zeros(4), 'AIFF', zeros(8)))).toMatchObject({ codec: 'pcm', mimeType: 'audio/aiff' });
+  expect(await detect(bytesOf([0xFF, 0xF1, 0x50, 0x80], zeros(8)))).toMatchObject({ codec: 'aac', mimeType: 'audio/aac', label: 'AAC' });
+});
+
+test('detectAudioFormat still reports an MP4 whose sample description is unreadable', async () => {
+  const result = await detectAudioFormat(fileOf(bytesOf([0, 0, 0, 16], 'ftyp', 'M4B ', zeros(4)), 'book.m4b'));
+
+  expect(result).toMatchObject({ container: 'mp4', codec: null, mimeType: 'audio/mp4', label: 'MP4/M4A/M4B', isSupported: true });
+});
+
+test('detectAudioFormat rejects Audible and other DRM files without asking the browser', async () => {
+  const aax = await detectAudioFormat(fileOf(bytesOf([0, 0, 0, 16], 'ftyp', 'aax ', zeros(4)), 'book.aax'));
+  expect(aax).toMatchObject({ container: 'mp4', label: 'Audible AAX', isSupported: false });
+  expect(aax.error).toBe('AAX files are DRM protected and aren\'t supported. Convert the book to an unprotected M4B or MP3 first.');
+
+  const aa = await detectAudioFormat(fileOf(bytesOf([0, 0, 1, 0], [0x57, 0x90, 0x75, 0x36], zeros(8)), 'book.aa'));
+  expect(aa).toMatchObject({ container: 'aa', label: 'Audible AA', isSupported: false });
+  expect(aa.error).toMatch(/^Audible \.aa files are DRM protected/);
+
+  expect(canPlayType).not.toHaveBeenCalled();
+});
+
+test('detectAudioFormat explains unrecognised and unplayable files', async () => {
+  const unknown = await detectAudioFormat(fileOf(bytesOf('%PDF-1.7 not audio'), 'notes.pdf'));
+  expect(unknown).toMatchObject({ container: null, isSupported: false, error: '"notes.pdf" is not a recognised audio file' });
+
+  canPlayType.mockReturnValue('');
+
+  const flac = await detectAudioFormat(fileOf(bytesOf('fLaC', zeros(40)), 'book.flac'));
+  expect(flac.isSupported).toBe(false);
+  expect(flac.error).toBe('FLAC isn\'t decodable in this browser ("book.flac")');
+
+  const caf = await detectAudioFormat(fileOf(bytesOf('caff', [0, 1, 0, 0], 'desc', zeros(16), 'alac'), 'book.caf'));
+  expect(caf.error).toBe('CAF files aren\'t playable in this browser ("book.caf")');
+});
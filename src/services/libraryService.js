@@ -0,0 +1,216 @@
+// Library Service - Keeps imported books (files or file handles, tags, cover, chapters) in IndexedDB across sessions
+import { getPartPath, setPartPath } from './audioBook';
+import {
+  openDatabase,
+  requestToPromise,
+  transactionDone,
+  BOOKS_STORE,
+  FILES_STORE,
+  BOOKMARKS_STORE,
+  EXPLANATIONS_STORE,
+  WAVEFORMS_STORE
+} from './database';
+
+console.log('[libraryService.js] Loading library service');
+
+// Handles of files picked through the File System Access API, so the library can reopen them instead of copying the audio
+const fileHandles = new WeakMap();
+
+const getFileKey = (bookId, index) => `${bookId}#${index}`;
+
+// Book record without its File objects; parts are reattached from the files store
+const toRecord = (book, storage, addedAt) => {
+  const now = Date.now();
+  return {
+    id: book.id,
+    title: book.title,
+    metadata: book.metadata,
+    chapters: book.chapters,
+    parts: book.parts.map(({ name, start, duration, format }) => ({ name, start, duration, format })),
+    duration: book.duration,
+    size: book.size,
+    isMultiPart: book.isMultiPart,
+    storage,
+    addedAt: addedAt || now,
+    lastOpenedAt: now
+  };
+};
+
+/**
+ * Remember the File System Access handle a file was read from
+ * @param {File} file - File returned by handle.getFile()
+ * @param {FileSystemFileHandle} handle - Its handle
+ */
+export const rememberFileHandle = (file, handle) => {
+  fileHandles.set(file, handle);
+};
+
+/**
+ * Every book in the library, without audio
+ * @returns {Promise<Object[]>} - Records { id, title, metadata, chapters, parts, duration, size, isMultiPart, storage, addedAt, lastOpenedAt }
+ */
+export const listBooks = async () => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(BOOKS_STORE).objectStore(BOOKS_STORE).getAll());
+};
+
+/**
+ * Add a book to the library, or refresh it when it is already there. Files
+ * with a handle are stored as handles; everything else is copied in as a blob.
+ * @param {Object} book - Book from createAudioBook
+ * @returns {Promise<Object>} - The stored record
+ */
+export const saveBook = async (book) => {
+  const db = await openDatabase();
+  const existing = await requestToPromise(db.transaction(BOOKS_STORE).objectStore(BOOKS_STORE).get(book.id));
+
+  const handles = book.parts.map(part => fileHandles.get(part.file) || null);
+  const storage = handles.every(Boolean) ? 'handle' : 'blob';
+  const record = toRecord(book, storage, existing && existing.addedAt);
+
+  const transaction = db.transaction([BOOKS_STORE, FILES_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const filesStore = transaction.objectStore(FILES_STORE);
+
+  // A re-import with fewer parts must not leave the old extra parts behind
+  if (existing) {
+    existing.parts.forEach((_, index) => filesStore.delete(getFileKey(book.id, index)));
+  }
+  book.parts.forEach((part, index) => {
+    filesStore.put({
+      key: getFileKey(book.id, index),
+      bookId: book.id,
+      path: getPartPath(part.file),
+      ...(storage === 'handle' ? { handle: handles[index] } : { file: part.file })
+    });
+  });
+  transaction.objectStore(BOOKS_STORE).put(record);
+
+  try {
+    await done;
+  } catch (error) {
+    if (error && error.name === 'QuotaExceededError') {
+      throw new Error(`Not enough storage to keep "${book.title}" in the library`);
+    }
+    throw error;
+  }
+
+  console.log('[libraryService.js] Saved book', { title: book.title, parts: book.parts.length, storage });
+  return record;
+};
+
+// Handles need read permission again in every session; asking must happen during the click that opens the book
+const getHandleFile = async (handle) => {
+  const options = { mode: 'read' };
+  if (handle.queryPermission && (await handle.queryPermission(options)) !== 'granted') {
+    if ((await handle.requestPermission(options)) !== 'granted') {
+      throw new Error(`Permission to read "${handle.name}" was denied`);
+    }
+  }
+
+  try {
+    return await handle.getFile();
+  } catch (error) {
+    throw new Error(`"${handle.name}" was moved or deleted. Import the book again.`);
+  }
+};
+
+/**
+ * Load a stored book, ready for the player
+ * @param {string} id - Book id
+ * @returns {Promise<Object>} - Book in the createAudioBook shape
+ */
+export const loadBook = async (id) => {
+  const db = await openDatabase();
+  const record = await requestToPromise(db.transaction(BOOKS_STORE).objectStore(BOOKS_STORE).get(id));
+  if (!record) {
+    throw new Error('This book is no longer in the library');
+  }
+
+  const filesStore = db.transaction(FILES_STORE).objectStore(FILES_STORE);
+  const stored = await Promise.all(record.parts.map((_, index) => requestToPromise(filesStore.get(getFileKey(id, index)))));
+  if (stored.some(entry => !entry)) {
+    throw new Error(`The audio for "${record.title}" is missing from the library. Import the book again.`);
+  }
+
+  const files = [];
+  for (const entry of stored) {
+    const file = entry.handle ? await getHandleFile(entry.handle) : entry.file;
+    if (entry.handle) rememberFileHandle(file, entry.handle);
+    files.push(setPartPath(file, entry.path));
+  }
+
+  const { storage, addedAt, lastOpenedAt, ...book } = record;
+  const opened = { ...record, lastOpenedAt: Date.now() };
+  db.transaction(BOOKS_STORE, 'readwrite').objectStore(BOOKS_STORE).put(opened);
+
+  console.log('[libraryService.js] Loaded book', { title: record.title, storage });
+  return {
+    ...book,
+    parts: record.parts.map((part, index) => ({ ...part, file: files[index] }))
+  };
+};
+
+// Delete every record of a book from a store indexed by bookId, inside the caller's transaction
+const deleteByBookId = (store, bookId) => {
+  const request = store.index('bookId').getAllKeys(bookId);
+  request.onsuccess = () => request.result.forEach(key => store.delete(key));
+};
+
+/**
+ * Remove a book from the library with its stored audio, bookmarks, explanations and cached waveform
+ * @param {string} id - Book id
+ */
+export const removeBook = async (id) => {
+  const db = await openDatabase();
+  const record = await requestToPromise(db.transaction(BOOKS_STORE).objectStore(BOOKS_STORE).get(id));
+  if (!record) return;
+
+  const transaction = db.transaction([BOOKS_STORE, FILES_STORE, BOOKMARKS_STORE, EXPLANATIONS_STORE, WAVEFORMS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  record.parts.forEach((_, index) => transaction.objectStore(FILES_STORE).delete(getFileKey(id, index)));
+  deleteByBookId(transaction.objectStore(BOOKMARKS_STORE), id);
+  deleteByBookId(transaction.objectStore(EXPLANATIONS_STORE), id);
+  transaction.objectStore(WAVEFORMS_STORE).delete(id);
+  transaction.objectStore(BOOKS_STORE).delete(id);
+  await done;
+
+  console.log('[libraryService.js] Removed book', record.title);
+};
+
+/**
+ * How much storage this origin uses and whether the browser may evict it
+ * @returns {Promise<Object>} - { usage, quota, persisted }; fields are null where the browser can't tell
+ */
+export const getStorageEstimate = async () => {
+  const storage = navigator.storage;
+  const result = { usage: null, quota: null, persisted: null };
+  if (!storage) return result;
+
+  try {
+    if (storage.estimate) {
+      const { usage, quota } = await storage.estimate();
+      result.usage = usage;
+      result.quota = quota;
+    }
+    if (storage.persisted) {
+      result.persisted = await storage.persisted();
+    }
+  } catch (error) {
+    console.warn('[libraryService.js] Could not read storage estimate:', error);
+  }
+  return result;
+};
+
+/**
+ * Ask the browser not to evict the library when the device runs low on space
+ * @returns {Promise<boolean>} - Whether storage is now persistent
+ */
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage || !navigator.storage.persist) {
+    throw new Error('Persistent storage is not supported in this browser');
+  }
+  const persisted = await navigator.storage.persist();
+  console.log('[libraryService.js] Persistent storage', persisted ? 'granted' : 'denied');
+  return persisted;
+};
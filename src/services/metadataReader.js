@@ -0,0 +1,310 @@
+// Metadata Reader - Title, author, narrator, cover art and chapters from ID3v2 and MP4 tags
+import { readBytes, readFourCC } from './fileBytes';
+import { parseBoxes, findBox, getMp4Brand, readMoov, readMp4Chapters } from './mp4Parser';
+
+console.log('[metadataReader.js] Loading metadata reader');
+
+const readUint32 = (bytes, offset) => {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+};
+
+const readSyncsafe = (bytes, offset) => {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+};
+
+// Undo ID3 unsynchronisation: every 0xFF 0x00 pair was written for a plain 0xFF
+const removeUnsynchronisation = (bytes) => {
+  const output = [];
+  for (let i = 0; i < bytes.length; i++) {
+    output.push(bytes[i]);
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+  }
+  return new Uint8Array(output);
+};
+
+// ID3 text encodings: 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+const decodeText = (bytes, encoding) => {
+  if (encoding === 1) {
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    return new TextDecoder('utf-16le').decode(bytes);
+  }
+  if (encoding === 2) return new TextDecoder('utf-16be').decode(bytes);
+  if (encoding === 3) return new TextDecoder('utf-8').decode(bytes);
+  return new TextDecoder('latin1').decode(bytes);
+};
+
+// End of a null-terminated string; UTF-16 strings end with two zero bytes on an even boundary
+const findTerminator = (bytes, start, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return { end: i, next: i + (wide ? 2 : 1) };
+    }
+  }
+  return { end: bytes.length, next: bytes.length };
+};
+
+/**
+ * Decode an ID3 text frame body. Multiple values (ID3v2.4) are joined with commas.
+ * @param {Uint8Array} bytes - Frame data, starting with the encoding byte
+ * @returns {string}
+ */
+export const decodeId3Text = (bytes) => {
+  return decodeText(bytes.subarray(1), bytes[0])
+    .split('\0')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Walk the frames in tag[start, end); CHAP and CTOC frames call this again for their sub-frames
+const parseId3Frames = (tag, start, end, version) => {
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const frames = [];
+  let offset = start;
+
+  while (offset + headerLength <= end && tag[offset] !== 0) {
+    const id = readFourCC(tag, offset).slice(0, idLength);
+    let size;
+    if (version === 2) {
+      size = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+    } else if (version === 4) {
+      size = readSyncsafe(tag, offset + 4);
+    } else {
+      size = readUint32(tag, offset + 4);
+    }
+
+    const dataStart = offset + headerLength;
+    if (size <= 0 || dataStart + size > end) break;
+
+    let data = tag.subarray(dataStart, dataStart + size);
+    const formatFlags = version === 2 ? 0 : tag[offset + 9];
+    const isCompressedOrEncrypted = version === 4 ? formatFlags & 0x0C : formatFlags & 0xC0;
+
+    if (!isCompressedOrEncrypted) {
+      if (version === 4 && (formatFlags & 0x01)) data = data.subarray(4); // data length indicator
+      if (version === 4 && (formatFlags & 0x02)) data = removeUnsynchronisation(data);
+      frames.push({ id, data });
+    }
+
+    offset = dataStart + size;
+  }
+
+  return frames;
+};
+
+/**
+ * Read every frame of a file's ID3v2 tag
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object|null>} - { version, frames: [{ id, data }] }, or null when there is no tag
+ */
+export const readId3Frames = async (file) => {
+  const header = await readBytes(file, 0, 10);
+  if (header.length < 10 || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) {
+    return null;
+  }
+
+  const version = header[3];
+  const flags = header[5];
+  let tag = await readBytes(file, 10, 10 + readSyncsafe(header, 6));
+
+  // Before v2.4 unsynchronisation applies to the whole tag
+  if (version < 4 && (flags & 0x80)) {
+    tag = removeUnsynchronisation(tag);
+  }
+
+  let start = 0;
+  if (version >= 3 && (flags & 0x40)) {
+    start = version === 4 ? readSyncsafe(tag, 0) : 4 + readUint32(tag, 0);
+  }
+
+  return { version, frames: parseId3Frames(tag, start, tag.length, version) };
+};
+
+// Normalise picture formats such as "JPG" or "image/jpg"
+const getImageType = (format) => {
+  const lower = (format || '').toLowerCase();
+  if (lower.includes('png')) return 'image/png';
+  if (lower.includes('jp')) return 'image/jpeg';
+  return lower.includes('/') ? lower : 'image/jpeg';
+};
+
+// APIC (v2.3/2.4) or PIC (v2.2) frame to { type, picture }
+const readId3Picture = (data, version) => {
+  const encoding = data[0];
+  let format;
+  let typeOffset;
+
+  if (version === 2) {
+    format = String.fromCharCode(data[1], data[2], data[3]);
+    typeOffset = 4;
+  } else {
+    const mime = findTerminator(data, 1, 0);
+    format = decodeText(data.subarray(1, mime.end), 0);
+    typeOffset = mime.next;
+  }
+
+  const description = findTerminator(data, typeOffset + 1, encoding);
+  return {
+    pictureType: data[typeOffset],
+    cover: new Blob([data.slice(description.next)], { type: getImageType(format) })
+  };
+};
+
+// CHAP frame: element id, start/end in milliseconds, byte offsets, then sub-frames holding the title
+const readId3Chapter = (data, version) => {
+  const elementId = findTerminator(data, 0, 0);
+  const start = readUint32(data, elementId.next) / 1000;
+  const subFrames = parseId3Frames(data, elementId.next + 16, data.length, version);
+  const titleFrame = subFrames.find(frame => frame.id === 'TIT2');
+
+  return {
+    id: decodeText(data.subarray(0, elementId.end), 0),
+    title: titleFrame ? decodeId3Text(titleFrame.data) : '',
+    start
+  };
+};
+
+// CTOC frame: element id, flags, child count, then the child element ids
+const readId3TableOfContents = (data) => {
+  const elementId = findTerminator(data, 0, 0);
+  const flags = data[elementId.next];
+  const count = data[elementId.next + 1];
+  const children = [];
+  let offset = elementId.next + 2;
+
+  for (let i = 0; i < count && offset < data.length; i++) {
+    const child = findTerminator(data, offset, 0);
+    children.push(decodeText(data.subarray(offset, child.end), 0));
+    offset = child.next;
+  }
+
+  return { isTopLevel: Boolean(flags & 0x02), children };
+};
+
+const readId3Metadata = async (file) => {
+  const tag = await readId3Frames(file);
+  if (!tag) return {};
+
+  const { version, frames } = tag;
+  const ids = version === 2
+    ? { title: 'TT2', author: 'TP1', albumArtist: 'TP2', album: 'TAL', narrator: 'TCM', track: 'TRK', picture: 'PIC' }
+    : { title: 'TIT2', author: 'TPE1', albumArtist: 'TPE2', album: 'TALB', narrator: 'TCOM', track: 'TRCK', picture: 'APIC' };
+  const text = (id) => {
+    const frame = frames.find(candidate => candidate.id === id);
+    return frame ? decodeId3Text(frame.data) || null : null;
+  };
+
+  // Prefer the front cover (picture type 3) over any other embedded image
+  const pictures = frames.filter(frame => frame.id === ids.picture).map(frame => readId3Picture(frame.data, version));
+  const picture = pictures.find(candidate => candidate.pictureType === 3) || pictures[0];
+
+  // Chapters in table-of-contents order when there is one, otherwise by start time
+  let chapters = frames.filter(frame => frame.id === 'CHAP').map(frame => readId3Chapter(frame.data, version));
+  const toc = frames
+    .filter(frame => frame.id === 'CTOC')
+    .map(frame => readId3TableOfContents(frame.data))
+    .find(entry => entry.isTopLevel);
+  if (toc) {
+    const ordered = toc.children.map(id => chapters.find(chapter => chapter.id === id)).filter(Boolean);
+    if (ordered.length) chapters = ordered;
+  }
+  chapters = chapters
+    .map(({ title, start }) => ({ title, start }))
+    .sort((a, b) => a.start - b.start);
+
+  const track = parseInt((text(ids.track) || '').split('/')[0], 10);
+
+  return {
+    title: text(ids.title),
+    author: text(ids.author) || text(ids.albumArtist),
+    narrator: text(ids.narrator),
+    album: text(ids.album),
+    trackNumber: isFinite(track) ? track : null,
+    cover: picture ? picture.cover : null,
+    chapters
+  };
+};
+
+// iTunes-style item list in moov/udta/meta/ilst; each item wraps a "data" box
+const readMp4Tags = ({ bytes, moov }) => {
+  const meta = findBox(moov.children, 'udta/meta') || findBox(moov.children, 'meta');
+  if (!meta) return {};
+
+  // meta is a full box in MP4 but a plain container in QuickTime files
+  const isFullBox = readFourCC(bytes, meta.dataStart + 4) !== 'hdlr';
+  const ilst = findBox(parseBoxes(bytes, meta.dataStart + (isFullBox ? 4 : 0), meta.end), 'ilst');
+  if (!ilst) return {};
+
+  const items = {};
+  parseBoxes(bytes, ilst.dataStart, ilst.end).forEach(item => {
+    const data = findBox(parseBoxes(bytes, item.dataStart, item.end), 'data');
+    if (data && !items[item.type]) {
+      items[item.type] = {
+        dataType: readUint32(bytes, data.dataStart) & 0xFFFFFF,
+        value: bytes.subarray(data.dataStart + 8, data.end)
+      };
+    }
+  });
+
+  const text = (type) => {
+    const item = items[type];
+    return item ? new TextDecoder('utf-8').decode(item.value).trim() || null : null;
+  };
+
+  const cover = items.covr
+    ? new Blob([items.covr.value.slice()], { type: items.covr.dataType === 14 ? 'image/png' : 'image/jpeg' })
+    : null;
+  const trackNumber = items.trkn && items.trkn.value.length >= 4
+    ? (items.trkn.value[2] << 8) | items.trkn.value[3]
+    : null;
+
+  return {
+    title: text('©nam'),
+    author: text('©ART') || text('aART'),
+    narrator: text('©wrt'),
+    album: text('©alb'),
+    trackNumber: trackNumber || null,
+    cover
+  };
+};
+
+const readMp4Metadata = async (file) => {
+  const movie = await readMoov(file);
+  const chapters = await readMp4Chapters(file, movie);
+  return { ...readMp4Tags(movie), chapters };
+};
+
+/**
+ * Read the tags of an audio file. Narrators are conventionally stored in the
+ * composer field (TCOM / ©wrt) by audiobook taggers.
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object>} - { title, author, narrator, album, trackNumber, cover, chapters }; missing fields are null
+ */
+export const readMetadata = async (file) => {
+  const metadata = {
+    title: null,
+    author: null,
+    narrator: null,
+    album: null,
+    trackNumber: null,
+    cover: null,
+    chapters: []
+  };
+
+  try {
+    const header = await readBytes(file, 0, 12);
+    if (header[0] === 0x49 && header[1] === 0x44 && header[2] === 0x33) {
+      return { ...metadata, ...(await readId3Metadata(file)) };
+    }
+    if (getMp4Brand(header)) {
+      return { ...metadata, ...(await readMp4Metadata(file)) };
+    }
+  } catch (error) {
+    console.warn('[metadataReader.js] Could not read metadata:', file.name, error);
+  }
+
+  return metadata;
+};
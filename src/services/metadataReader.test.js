@@ -0,0 +1,195 @@
+import { TextDecoder } from 'util';
+import { readMetadata, readId3Frames, decodeId3Text } from './metadataReader';
+import { readBlobAsArrayBuffer } from './fileBytes';
+import { u32, ascii, zeros, syncsafe, fileOf } from './byteFixtures';
+
+// jsdom has no TextDecoder; every ID3 text frame needs one
+if (!global.TextDecoder) {
+  global.TextDecoder = TextDecoder;
+}
+
+const utf8 = (text) => Array.from(Buffer.from(text, 'utf8'));
+const utf16le = (text) => Array.from(Buffer.from(text, 'utf16le'));
+const utf16be = (text) => {
+  const bytes = utf16le(text);
+  for (let i = 0; i < bytes.length; i += 2) [bytes[i], bytes[i + 1]] = [bytes[i + 1], bytes[i]];
+  return bytes;
+};
+const latin1 = (text) => Array.from(Buffer.from(text, 'latin1'));
+
+// Frame headers differ per version: v2.2 has 3-character ids and 24-bit sizes, v2.3 plain 32-bit sizes, v2.4 syncsafe sizes
+const frame = (version, id, data, flags = 0) => {
+  if (version === 2) {
+    return [...ascii(id), (data.length >>> 16) & 0xFF, (data.length >>> 8) & 0xFF, data.length & 0xFF, ...data];
+  }
+  const size = version === 4 ? syncsafe(data.length) : u32(data.length);
+  return [...ascii(id), ...size, 0, flags, ...data];
+};
+
+// Undo is tested by writing the unsynchronised form: a zero after every 0xFF
+const unsynchronise = (bytes) => bytes.flatMap(byte => (byte === 0xFF ? [0xFF, 0x00] : [byte]));
+
+const id3Tag = (version, frames, { flags = 0, padding = 0 } = {}) => {
+  let body = [...frames.flat(), ...zeros(padding)];
+  if (flags & 0x80) body = unsynchronise(body);
+  return [...ascii('ID3'), version, 0, flags, ...syncsafe(body.length), ...body];
+};
+
+const textFrame = (version, id, encoding, bytes) => frame(version, id, [encoding, ...bytes]);
+
+const chapFrame = (version, elementId, startMs, endMs, title) => frame(version, 'CHAP', [
+  ...ascii(elementId), 0,
+  ...u32(startMs), ...u32(endMs), ...u32(0xFFFFFFFF), ...u32(0xFFFFFFFF),
+  ...textFrame(version, 'TIT2', 0, ascii(title))
+]);
+
+const ctocFrame = (version, elementId, isTopLevel, children) => frame(version, 'CTOC', [
+  ...ascii(elementId), 0,
+  isTopLevel ? 0x03 : 0x01,
+  children.length,
+  ...children.flatMap(child => [...ascii(child), 0])
+]);
+
+const JPEG = [0xFF, 0xD8, 0xFF, 0xE0, ...Array.from({ length: 296 }, (_, i) => i & 0x7F)];
+const PNG = [0x89, ...ascii('PNG'), 0x0D, 0x0A, 0x1A, 0x0A];
+
+const blobBytes = async (blob) => Array.from(new Uint8Array(await readBlobAsArrayBuffer(blob)));
+
+test('decodeId3Text reads every ID3 text encoding and joins v2.4 multiple values', () => {
+  expect(decodeId3Text(Uint8Array.from([0, ...latin1('Renée')]))).toBe('Renée');
+  expect(decodeId3Text(Uint8Array.from([1, 0xFF, 0xFE, ...utf16le('Zoë')]))).toBe('Zoë');
+  expect(decodeId3Text(Uint8Array.from([1, 0xFE, 0xFF, ...utf16be('Zoë')]))).toBe('Zoë');
+  expect(decodeId3Text(Uint8Array.from([2, ...utf16be('Ōsaka')]))).toBe('Ōsaka');
+  expect(decodeId3Text(Uint8Array.from([3, ...utf8('Café'), 0, ...utf8(' Bistro '), 0]))).toBe('Café, Bistro');
+});
+
+test('readMetadata reads ID3v2.4 text frames with syncsafe tag and frame sizes', async () => {
+  const file = fileOf([
+    ...id3Tag(4, [
+      textFrame(4, 'TIT2', 3, utf8('Café Stories')),
+      textFrame(4, 'TPE1', 1, [0xFF, 0xFE, ...utf16le('Zoë Author')]),
+      textFrame(4, 'TCOM', 0, latin1('Renée Reader')),
+      textFrame(4, 'TALB', 2, utf16be('The Collection')),
+      textFrame(4, 'TRCK', 0, ascii('3/12')),
+      frame(4, 'APIC', [0, ...ascii('image/jpeg'), 0, 3, 0, ...JPEG])
+    ], { padding: 200 }),
+    0xFF, 0xFB, 0x94, 0x64
+  ], 'book.mp3');
+
+  const metadata = await readMetadata(file);
+
+  expect(metadata).toMatchObject({
+    title: 'Café Stories',
+    author: 'Zoë Author',
+    narrator: 'Renée Reader',
+    album: 'The Collection',
+    trackNumber: 3,
+    chapters: []
+  });
+  expect(metadata.cover.type).toBe('image/jpeg');
+  expect(await blobBytes(metadata.cover)).toEqual(JPEG);
+});
+
+test('readId3Frames honours v2.4 data length indicators and per-frame unsynchronisation', async () => {
+  const title = [3, ...utf8('Length first')];
+  const picture = [0, ...ascii('image/png'), 0, 3, 0, 0xFF, 0xE0, 0x01];
+  const file = fileOf(id3Tag(4, [
+    frame(4, 'TIT2', [...syncsafe(title.length), ...title], 0x01),
+    frame(4, 'APIC', unsynchronise(picture), 0x02)
+  ]));
+
+  const { version, frames } = await readId3Frames(file);
+
+  expect(version).toBe(4);
+  expect(frames.map(({ id, data }) => ({ id, data: Array.from(data) }))).toEqual([
+    { id: 'TIT2', data: title },
+    { id: 'APIC', data: picture }
+  ]);
+});
+
+test('readMetadata prefers the front cover and falls back to the album artist', async () => {
+  const file = fileOf(id3Tag(3, [
+    textFrame(3, 'TIT2', 0, ascii('Covers')),
+    textFrame(3, 'TPE2', 0, ascii('Album Artist')),
+    frame(3, 'APIC', [0, ...ascii('image/png'), 0, 0, 0, ...PNG]),
+    frame(3, 'APIC', [1, ...ascii('image/jpg'), 0, 3, 0xFF, 0xFE, ...utf16le('Front'), 0, 0, ...JPEG])
+  ]));
+
+  const metadata = await readMetadata(file);
+
+  expect(metadata.author).toBe('Album Artist');
+  expect(metadata.cover.type).toBe('image/jpeg');
+  expect(await blobBytes(metadata.cover)).toEqual(JPEG);
+});
+
+test('readMetadata undoes whole-tag unsynchronisation before ID3v2.4', async () => {
+  const file = fileOf(id3Tag(3, [
+    textFrame(3, 'TIT2', 0, ascii('Synced')),
+    frame(3, 'APIC', [0, ...ascii('image/jpeg'), 0, 3, 0, ...JPEG])
+  ], { flags: 0x80 }));
+
+  const metadata = await readMetadata(file);
+
+  expect(metadata.title).toBe('Synced');
+  expect(await blobBytes(metadata.cover)).toEqual(JPEG);
+});
+
+test('readMetadata reads CHAP chapters in the order of the top-level CTOC', async () => {
+  const file = fileOf(id3Tag(3, [
+    textFrame(3, 'TIT2', 0, ascii('Chaptered')),
+    ctocFrame(3, 'toc', true, ['ch2', 'ch0', 'ch1']),
+    ctocFrame(3, 'sub', false, ['ch1']),
+    chapFrame(3, 'ch0', 0, 95500, 'Opening'),
+    chapFrame(3, 'ch1', 95500, 600000, 'Middle'),
+    chapFrame(3, 'ch2', 600000, 900000, 'Closing'),
+    chapFrame(3, 'extra', 900000, 950000, 'Not listed')
+  ]));
+
+  expect((await readMetadata(file)).chapters).toEqual([
+    { title: 'Opening', start: 0 },
+    { title: 'Middle', start: 95.5 },
+    { title: 'Closing', start: 600 }
+  ]);
+});
+
+test('readMetadata sorts CHAP chapters by start time without a CTOC', async () => {
+  const file = fileOf(id3Tag(4, [
+    chapFrame(4, 'b', 120000, 240000, 'Second'),
+    chapFrame(4, 'a', 0, 120000, 'First')
+  ]));
+
+  expect((await readMetadata(file)).chapters).toEqual([
+    { title: 'First', start: 0 },
+    { title: 'Second', start: 120 }
+  ]);
+});
+
+test('readMetadata reads ID3v2.2 three-character frames', async () => {
+  const file = fileOf(id3Tag(2, [
+    textFrame(2, 'TT2', 0, ascii('Old Tag')),
+    textFrame(2, 'TP1', 0, ascii('Old Author')),
+    textFrame(2, 'TCM', 0, ascii('Old Narrator')),
+    frame(2, 'PIC', [0, ...ascii('PNG'), 3, 0, ...PNG])
+  ]));
+
+  const metadata = await readMetadata(file);
+
+  expect(metadata).toMatchObject({ title: 'Old Tag', author: 'Old Author', narrator: 'Old Narrator' });
+  expect(metadata.cover.type).toBe('image/png');
+  expect(await blobBytes(metadata.cover)).toEqual(PNG);
+});
+
+test('readMetadata returns empty fields for files without tags', async () => {
+  const file = fileOf([0xFF, 0xFB, 0x94, 0x64, ...zeros(60)]);
+
+  expect(await readId3Frames(file)).toBeNull();
+  expect(await readMetadata(file)).toEqual({
+    title: null,
+    author: null,
+    narrator: null,
+    album: null,
+    trackNumber: null,
+    cover: null,
+    chapters: []
+  });
+});
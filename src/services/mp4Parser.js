@@ -0,0 +1,525 @@
+// MP4 Parser - Reads ISO BMFF box structure and audio sample tables from M4A/M4B/MP4 files
+import { readBytes, readFourCC } from './fileBytes';
+
+console.log('[mp4Parser.js] Loading MP4 box parser');
+
+// Boxes whose payload is nothing but more boxes
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'dinf', 'tref', 'wave']);
+
+// AAC sampling frequency index table (ISO 14496-3)
+export const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350
+];
+
+const getView = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const readUint64 = (view, offset) => view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+
+/**
+ * Parse the boxes stored in bytes[start, end)
+ * @param {Uint8Array} bytes - Raw bytes
+ * @param {number} [start] - Offset of the first box
+ * @param {number} [end] - End of the region
+ * @returns {Array<Object>} - { type, start, end, dataStart, children? } with offsets into bytes
+ */
+export const parseBoxes = (bytes, start = 0, end = bytes.length) => {
+  const view = getView(bytes);
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readFourCC(bytes, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = readUint64(view, offset + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // box runs to the end of its parent
+    }
+
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+
+    const box = { type, start: offset, end: offset + size, dataStart: offset + headerSize };
+    if (CONTAINER_BOXES.has(type)) {
+      box.children = parseBoxes(bytes, box.dataStart, box.end);
+    }
+
+    boxes.push(box);
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Find the first box matching a slash-separated path, e.g. "mdia/minf/stbl"
+ * @param {Array<Object>} boxes - Boxes from parseBoxes
+ * @param {string} path - Box types separated by "/"
+ * @returns {Object|null}
+ */
+export const findBox = (boxes, path) => {
+  const [head, ...rest] = path.split('/');
+
+  for (const box of boxes || []) {
+    if (box.type !== head) continue;
+    if (rest.length === 0) return box;
+
+    const found = findBox(box.children, rest.join('/'));
+    if (found) return found;
+  }
+
+  return null;
+};
+
+/**
+ * List the top-level boxes of a file by reading only their headers
+ * @param {Blob} file - MP4 file
+ * @returns {Promise<Array<Object>>} - { type, start, end, dataStart } with absolute file offsets
+ */
+export const readTopLevelBoxes = async (file) => {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16);
+    const view = getView(header);
+    let size = view.getUint32(0);
+    const type = readFourCC(header, 4);
+    let headerSize = 8;
+
+    if (size === 1 && header.length >= 16) {
+      size = readUint64(view, 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset, end: offset + size, dataStart: offset + headerSize });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Check for an ISO BMFF "ftyp" box at the start of a file
+ * @param {Uint8Array} header - At least the first 12 bytes of the file
+ * @returns {string|null} - The major brand (e.g. "M4B "), or null if this is not MP4
+ */
+export const getMp4Brand = (header) => {
+  if (header.length < 12 || readFourCC(header, 4) !== 'ftyp') {
+    return null;
+  }
+  return readFourCC(header, 8);
+};
+
+/**
+ * Read and parse the moov box. It may sit at the end of the file, so top-level
+ * box headers are walked first and only moov itself is read in full.
+ * @param {Blob} file - MP4 file
+ * @returns {Promise<Object>} - { bytes, moov } where moov is the parsed root box
+ */
+export const readMoov = async (file) => {
+  const topLevel = await readTopLevelBoxes(file);
+  const moovBox = topLevel.find(box => box.type === 'moov');
+
+  if (!moovBox) {
+    throw new Error('MP4 file has no moov box');
+  }
+
+  const bytes = await readBytes(file, moovBox.start, moovBox.end);
+  const [moov] = parseBoxes(bytes);
+
+  return { bytes, moov };
+};
+
+/**
+ * Summarise every track in a parsed moov box
+ * @param {Object} movie - Result of readMoov
+ * @returns {Array<Object>} - { box, trackId, handlerType, timescale, duration }
+ */
+export const getTracks = ({ bytes, moov }) => {
+  const view = getView(bytes);
+
+  return moov.children.filter(box => box.type === 'trak').map(trak => {
+    const tkhd = findBox(trak.children, 'tkhd');
+    const mdhd = findBox(trak.children, 'mdia/mdhd');
+    const hdlr = findBox(trak.children, 'mdia/hdlr');
+
+    let trackId = null;
+    if (tkhd) {
+      const version = bytes[tkhd.dataStart];
+      trackId = view.getUint32(tkhd.dataStart + (version === 1 ? 20 : 12));
+    }
+
+    let timescale = 0;
+    let duration = 0;
+    if (mdhd) {
+      const version = bytes[mdhd.dataStart];
+      if (version === 1) {
+        timescale = view.getUint32(mdhd.dataStart + 20);
+        duration = readUint64(view, mdhd.dataStart + 24);
+      } else {
+        timescale = view.getUint32(mdhd.dataStart + 12);
+        duration = view.getUint32(mdhd.dataStart + 16);
+      }
+    }
+
+    return {
+      box: trak,
+      trackId,
+      handlerType: hdlr ? readFourCC(bytes, hdlr.dataStart + 8) : null,
+      timescale,
+      duration: timescale ? duration / timescale : 0
+    };
+  });
+};
+
+// Read an MPEG-4 descriptor length (1-4 bytes, 7 bits each)
+const readDescriptorLength = (bytes, offset) => {
+  let length = 0;
+  let consumed = 0;
+  let byte;
+  do {
+    byte = bytes[offset + consumed];
+    length = (length << 7) | (byte & 0x7F);
+    consumed++;
+  } while ((byte & 0x80) && consumed < 4);
+  return { length, consumed };
+};
+
+// Pull the AudioSpecificConfig out of an esds box
+const readEsdsConfig = (bytes, esds) => {
+  let offset = esds.dataStart + 4; // full box version/flags
+
+  if (bytes[offset] !== 0x03) return null; // ES_Descriptor
+  offset += 1 + readDescriptorLength(bytes, offset + 1).consumed;
+  const flags = bytes[offset + 2];
+  offset += 3;
+  if (flags & 0x80) offset += 2; // dependsOn_ES_ID
+  if (flags & 0x40) offset += 1 + bytes[offset]; // URL
+  if (flags & 0x20) offset += 2; // OCR_ES_Id
+
+  if (bytes[offset] !== 0x04) return null; // DecoderConfigDescriptor
+  offset += 1 + readDescriptorLength(bytes, offset + 1).consumed;
+  offset += 13;
+
+  if (bytes[offset] !== 0x05) return null; // DecoderSpecificInfo
+  const { length, consumed } = readDescriptorLength(bytes, offset + 1);
+  const start = offset + 1 + consumed;
+  return bytes.slice(start, start + length);
+};
+
+/**
+ * Decode an AAC AudioSpecificConfig
+ * @param {Uint8Array} config - Raw AudioSpecificConfig bytes
+ * @returns {Object} - { objectType, sampleRateIndex, sampleRate, channelConfig, hasSbr }
+ */
+export const parseAudioSpecificConfig = (config) => {
+  let bitOffset = 0;
+  const readBits = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const byte = config[(bitOffset >> 3)] || 0;
+      value = (value << 1) | ((byte >> (7 - (bitOffset & 7))) & 1);
+      bitOffset++;
+    }
+    return value;
+  };
+  const readObjectType = () => {
+    const type = readBits(5);
+    return type === 31 ? 32 + readBits(6) : type;
+  };
+
+  let objectType = readObjectType();
+  const sampleRateIndex = readBits(4);
+  const sampleRate = sampleRateIndex === 15 ? readBits(24) : AAC_SAMPLE_RATES[sampleRateIndex];
+  const channelConfig = readBits(4);
+  let hasSbr = false;
+
+  // HE-AAC (SBR) and HE-AACv2 (PS) wrap a core AAC-LC stream at the rate above
+  if (objectType === 5 || objectType === 29) {
+    hasSbr = true;
+    if (readBits(4) === 15) readBits(24);
+    objectType = readObjectType();
+  }
+
+  return { objectType, sampleRateIndex, sampleRate, channelConfig, hasSbr };
+};
+
+/**
+ * Read the sample tables and codec configuration of a track
+ * @param {Object} movie - Result of readMoov
+ * @param {Object} track - Entry from getTracks
+ * @returns {Object} - Sample table with codec, timing, sizes and chunk layout
+ */
+export const readSampleTable = ({ bytes }, track) => {
+  const view = getView(bytes);
+  const stbl = findBox(track.box.children, 'mdia/minf/stbl');
+  if (!stbl) {
+    throw new Error('MP4 track has no sample table');
+  }
+
+  const box = (type) => stbl.children.find(child => child.type === type);
+
+  // Sample description: codec four-cc plus the AAC config when present
+  const stsd = box('stsd');
+  const entryStart = stsd.dataStart + 8;
+  const entryEnd = entryStart + view.getUint32(entryStart);
+  const codec = readFourCC(bytes, entryStart + 4);
+  let audioConfig = null;
+  let channelCount = 0;
+
+  if (track.handlerType === 'soun') {
+    const soundVersion = view.getUint16(entryStart + 16);
+    channelCount = view.getUint16(entryStart + 24);
+    const childStart = entryStart + 36 + (soundVersion === 1 ? 16 : soundVersion === 2 ? 36 : 0);
+    const children = parseBoxes(bytes, childStart, entryEnd);
+    const esds = findBox(children, 'esds') || findBox(children, 'wave/esds');
+    const config = esds && readEsdsConfig(bytes, esds);
+    if (config && config.length >= 2) {
+      audioConfig = parseAudioSpecificConfig(config);
+    }
+  }
+
+  // Decoding time to sample
+  const stts = box('stts');
+  const timeToSample = [];
+  for (let i = 0, count = view.getUint32(stts.dataStart + 4); i < count; i++) {
+    const offset = stts.dataStart + 8 + i * 8;
+    timeToSample.push({ count: view.getUint32(offset), delta: view.getUint32(offset + 4) });
+  }
+
+  // Sample to chunk
+  const stsc = box('stsc');
+  const sampleToChunk = [];
+  for (let i = 0, count = view.getUint32(stsc.dataStart + 4); i < count; i++) {
+    const offset = stsc.dataStart + 8 + i * 12;
+    sampleToChunk.push({ firstChunk: view.getUint32(offset), samplesPerChunk: view.getUint32(offset + 4) });
+  }
+
+  // Sample sizes (either one constant size or a table)
+  const stsz = box('stsz');
+  const constantSize = view.getUint32(stsz.dataStart + 4);
+  const sampleCount = view.getUint32(stsz.dataStart + 8);
+  const sampleSizes = new Uint32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    sampleSizes[i] = constantSize || view.getUint32(stsz.dataStart + 12 + i * 4);
+  }
+
+  // Chunk offsets, 32 or 64 bit
+  const stco = box('stco');
+  const co64 = box('co64');
+  const offsetsBox = stco || co64;
+  const chunkCount = view.getUint32(offsetsBox.dataStart + 4);
+  const chunkOffsets = new Float64Array(chunkCount);
+  for (let i = 0; i < chunkCount; i++) {
+    chunkOffsets[i] = stco
+      ? view.getUint32(stco.dataStart + 8 + i * 4)
+      : readUint64(view, co64.dataStart + 8 + i * 8);
+  }
+
+  return {
+    codec,
+    audioConfig,
+    channelCount,
+    timescale: track.timescale,
+    duration: track.duration,
+    timeToSample,
+    sampleToChunk,
+    sampleSizes,
+    chunkOffsets
+  };
+};
+
+/**
+ * Index of the sample playing at a given time
+ * @param {Object} table - Result of readSampleTable
+ * @param {number} seconds - Track time in seconds
+ * @returns {number}
+ */
+export const getSampleIndexAtTime = (table, seconds) => {
+  let remaining = Math.max(0, seconds) * table.timescale;
+  let index = 0;
+
+  for (const { count, delta } of table.timeToSample) {
+    const entryDuration = count * delta;
+    if (remaining < entryDuration) {
+      return index + Math.floor(remaining / delta);
+    }
+    remaining -= entryDuration;
+    index += count;
+  }
+
+  return Math.max(0, index - 1);
+};
+
+/**
+ * Start time of a sample in seconds
+ * @param {Object} table - Result of readSampleTable
+ * @param {number} sampleIndex - Zero-based sample index
+ * @returns {number}
+ */
+export const getSampleTime = (table, sampleIndex) => {
+  let ticks = 0;
+  let remaining = sampleIndex;
+
+  for (const { count, delta } of table.timeToSample) {
+    if (remaining < count) {
+      return (ticks + remaining * delta) / table.timescale;
+    }
+    ticks += count * delta;
+    remaining -= count;
+  }
+
+  return ticks / table.timescale;
+};
+
+/**
+ * File location of each sample in [first, last]
+ * @param {Object} table - Result of readSampleTable
+ * @param {number} first - First sample index (inclusive)
+ * @param {number} last - Last sample index (inclusive)
+ * @returns {Array<Object>} - { offset, size } per sample, in order
+ */
+export const getSampleLocations = (table, first, last) => {
+  const locations = [];
+  const { sampleToChunk, chunkOffsets, sampleSizes } = table;
+  let sampleIndex = 0;
+
+  for (let entry = 0; entry < sampleToChunk.length && sampleIndex <= last; entry++) {
+    const { firstChunk, samplesPerChunk } = sampleToChunk[entry];
+    const nextFirstChunk = entry + 1 < sampleToChunk.length
+      ? sampleToChunk[entry + 1].firstChunk
+      : chunkOffsets.length + 1;
+
+    for (let chunk = firstChunk; chunk < nextFirstChunk && sampleIndex <= last; chunk++) {
+      // Skip whole chunks that end before the range
+      if (sampleIndex + samplesPerChunk <= first) {
+        sampleIndex += samplesPerChunk;
+        continue;
+      }
+
+      let offset = chunkOffsets[chunk - 1];
+      for (let i = 0; i < samplesPerChunk && sampleIndex <= last; i++, sampleIndex++) {
+        const size = sampleSizes[sampleIndex];
+        if (sampleIndex >= first) {
+          locations.push({ offset, size });
+        }
+        offset += size;
+      }
+    }
+  }
+
+  return locations;
+};
+
+// Nero chapter list (moov/udta/chpl): start times in 100 ns units, Pascal-string titles
+const readNeroChapters = ({ bytes, moov }) => {
+  const chpl = findBox(moov.children, 'udta/chpl');
+  if (!chpl) return [];
+
+  const view = getView(bytes);
+  const version = bytes[chpl.dataStart];
+  let offset = chpl.dataStart + 4 + (version === 1 ? 4 : 0);
+  const count = bytes[offset++];
+  const decoder = new TextDecoder('utf-8');
+  const chapters = [];
+
+  for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+    const start = readUint64(view, offset) / 1e7;
+    const length = bytes[offset + 8];
+    const title = decoder.decode(bytes.subarray(offset + 9, Math.min(chpl.end, offset + 9 + length)));
+    chapters.push({ title: title.trim(), start });
+    offset += 9 + length;
+  }
+
+  return chapters;
+};
+
+// Text sample: 16-bit length, then UTF-8 or BOM-marked UTF-16 text
+const decodeTextSample = (sample) => {
+  if (sample.length < 2) return '';
+  const length = Math.min(sample.length - 2, (sample[0] << 8) | sample[1]);
+  const text = sample.subarray(2, 2 + length);
+  if (text[0] === 0xFE && text[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(text.subarray(2));
+  }
+  if (text[0] === 0xFF && text[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(text.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(text);
+};
+
+// QuickTime chapter track: an audio track's tref/chap points at a text track with one sample per chapter
+const readChapterTrack = async (file, movie) => {
+  const tracks = getTracks(movie);
+  const view = getView(movie.bytes);
+  let chapterTrack = null;
+
+  for (const track of tracks) {
+    const chap = findBox(track.box.children, 'tref/chap');
+    if (!chap) continue;
+    for (let offset = chap.dataStart; offset + 4 <= chap.end && !chapterTrack; offset += 4) {
+      const id = view.getUint32(offset);
+      chapterTrack = tracks.find(candidate => candidate.trackId === id && candidate !== track) || null;
+    }
+    if (chapterTrack) break;
+  }
+
+  if (!chapterTrack) return [];
+
+  const table = readSampleTable(movie, chapterTrack);
+  const count = table.sampleSizes.length;
+  if (!count) return [];
+
+  const locations = getSampleLocations(table, 0, count - 1);
+  const chapters = [];
+
+  for (let i = 0; i < locations.length; i++) {
+    const { offset, size } = locations[i];
+    const sample = await readBytes(file, offset, offset + size);
+    chapters.push({ title: decodeTextSample(sample).trim(), start: getSampleTime(table, i) });
+  }
+
+  return chapters;
+};
+
+/**
+ * Read the chapter list of an M4B/M4A/MP4 file. The QuickTime chapter track is
+ * preferred (iTunes and most encoders write it); the Nero chpl list is the fallback.
+ * @param {Blob} file - Audio file
+ * @param {Object} [movie] - Result of readMoov, when the caller already has it
+ * @returns {Promise<Array<Object>>} - { title, start } in file seconds, sorted; empty for non-MP4 files
+ */
+export const readMp4Chapters = async (file, movie = null) => {
+  if (!movie) {
+    const header = await readBytes(file, 0, 12);
+    if (!getMp4Brand(header)) {
+      return [];
+    }
+    movie = await readMoov(file);
+  }
+
+  let chapters = [];
+
+  try {
+    chapters = await readChapterTrack(file, movie);
+  } catch (error) {
+    console.warn('[mp4Parser.js] Could not read the chapter track:', error);
+  }
+  if (!chapters.length) {
+    chapters = readNeroChapters(movie);
+  }
+
+  return chapters
+    .filter(chapter => isFinite(chapter.start))
+    .sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,230 @@
+import { TextDecoder } from 'util';
+import {
+  parseBoxes,
+  findBox,
+  getMp4Brand,
+  readMoov,
+  getTracks,
+  readSampleTable,
+  parseAudioSpecificConfig,
+  getSampleIndexAtTime,
+  getSampleTime,
+  getSampleLocations,
+  readMp4Chapters
+} from './mp4Parser';
+import { u16, u32, u64, ascii, zeros, fileOf } from './byteFixtures';
+
+// jsdom has no TextDecoder; chapter titles need one
+if (!global.TextDecoder) {
+  global.TextDecoder = TextDecoder;
+}
+
+const box = (type, ...payload) => {
+  const body = payload.flat();
+  return [...u32(8 + body.length), ...ascii(type), ...body];
+};
+const fullBox = (type, version, ...payload) => box(type, [version, 0, 0, 0], ...payload);
+
+// AAC-LC, 44.1 kHz, stereo, wrapped in ES and decoder config descriptors
+const esds = () => fullBox('esds', 0,
+  [0x03, 22, 0, 1, 0],
+  [0x04, 17, 0x40, 0x15, ...zeros(11)],
+  [0x05, 2, 0x12, 0x10]
+);
+
+const mp4aEntry = () => box('mp4a', zeros(6), u16(1), zeros(8), u16(2), u16(16), zeros(4), u32(44100 * 65536), esds());
+const textEntry = () => box('text', zeros(6), u16(1));
+
+const stts = (entries) => fullBox('stts', 0, u32(entries.length), ...entries.map(([count, delta]) => [...u32(count), ...u32(delta)]));
+const stsc = (entries) => fullBox('stsc', 0, u32(entries.length), ...entries.map(([firstChunk, samplesPerChunk]) => [...u32(firstChunk), ...u32(samplesPerChunk), ...u32(1)]));
+const stsz = (sizes) => fullBox('stsz', 0, u32(0), u32(sizes.length), ...sizes.map(u32));
+const stco = (offsets) => fullBox('stco', 0, u32(offsets.length), ...offsets.map(u32));
+const co64 = (offsets) => fullBox('co64', 0, u32(offsets.length), ...offsets.map(u64));
+
+const trak = ({ id, handler, timescale, duration, entry, tables, tref = [], mdhdVersion = 0 }) => box('trak',
+  fullBox('tkhd', 0, zeros(8), u32(id), zeros(4)),
+  tref,
+  box('mdia',
+    mdhdVersion === 1
+      ? fullBox('mdhd', 1, zeros(16), u32(timescale), u64(duration), zeros(4))
+      : fullBox('mdhd', 0, zeros(8), u32(timescale), u32(duration), zeros(4)),
+    fullBox('hdlr', 0, zeros(4), ascii(handler), zeros(12)),
+    box('minf', box('stbl', fullBox('stsd', 0, u32(1), entry), ...tables))
+  )
+);
+
+const ftyp = () => box('ftyp', ascii('M4B '), zeros(4));
+
+// ftyp, then mdat, then moov at the end like most encoders write it
+const mp4File = (mdatPayload, buildMoov) => {
+  const head = ftyp();
+  const mdatDataStart = head.length + 8;
+  const bytes = [...head, ...box('mdat', mdatPayload), ...buildMoov(mdatDataStart)];
+  return fileOf(bytes, 'book.m4b');
+};
+
+const soundTrack = (tables, extra = {}) => trak({ id: 1, handler: 'soun', timescale: 44100, duration: 441000, entry: mp4aEntry(), tables, ...extra });
+
+test('parseBoxes walks nested boxes, 64-bit sizes and boxes that run to the end', () => {
+  const bytes = Uint8Array.from([
+    ...box('moov', box('trak', box('mdia', box('mdhd', zeros(4))))),
+    ...u32(1), ...ascii('free'), ...u64(24), ...zeros(8),
+    ...u32(0), ...ascii('mdat'), ...zeros(5)
+  ]);
+  const boxes = parseBoxes(bytes);
+
+  expect(boxes.map(item => item.type)).toEqual(['moov', 'free', 'mdat']);
+  expect(boxes[1]).toMatchObject({ start: 36, end: 60, dataStart: 52 });
+  expect(boxes[2]).toMatchObject({ start: 60, end: bytes.length });
+  expect(findBox(boxes, 'moov/trak/mdia/mdhd')).toMatchObject({ start: 24, end: 36 });
+  expect(findBox(boxes, 'moov/trak/minf')).toBeNull();
+});
+
+test('parseBoxes stops at a box that claims more bytes than its parent has', () => {
+  const bytes = Uint8Array.from([...box('free', zeros(4)), ...u32(100), ...ascii('mdat'), ...zeros(4)]);
+  expect(parseBoxes(bytes).map(item => item.type)).toEqual(['free']);
+});
+
+test('getMp4Brand reads the major brand from ftyp', () => {
+  expect(getMp4Brand(Uint8Array.from(ftyp()))).toBe('M4B ');
+  expect(getMp4Brand(Uint8Array.from(box('free', zeros(8))))).toBeNull();
+});
+
+test('readMoov finds moov after mdat and getTracks summarises each track', async () => {
+  const file = mp4File(zeros(64), () => box('moov',
+    soundTrack([stts([[1, 1024]]), stsc([[1, 1]]), stsz([64]), stco([48])]),
+    trak({ id: 2, handler: 'text', timescale: 1000, duration: 2 ** 33, mdhdVersion: 1, entry: textEntry(), tables: [] })
+  ));
+
+  const tracks = getTracks(await readMoov(file));
+
+  expect(tracks.map(({ trackId, handlerType, timescale, duration }) => ({ trackId, handlerType, timescale, duration }))).toEqual([
+    { trackId: 1, handlerType: 'soun', timescale: 44100, duration: 10 },
+    { trackId: 2, handlerType: 'text', timescale: 1000, duration: 2 ** 33 / 1000 }
+  ]);
+});
+
+test('readMoov rejects files without a moov box', async () => {
+  const file = fileOf([...ftyp(), ...box('mdat', zeros(16))], 'broken.m4b');
+  await expect(readMoov(file)).rejects.toThrow('MP4 file has no moov box');
+});
+
+test('readSampleTable reads the codec, AAC config and sample tables', async () => {
+  const file = mp4File(zeros(64), () => box('moov',
+    soundTrack([stts([[3, 1024], [2, 512]]), stsc([[1, 3], [2, 2]]), stsz([10, 11, 12, 13, 14]), stco([1000, 2000])])
+  ));
+  const movie = await readMoov(file);
+  const table = readSampleTable(movie, getTracks(movie)[0]);
+
+  expect(table).toMatchObject({
+    codec: 'mp4a',
+    channelCount: 2,
+    timescale: 44100,
+    duration: 10,
+    audioConfig: { objectType: 2, sampleRateIndex: 4, sampleRate: 44100, channelConfig: 2, hasSbr: false },
+    timeToSample: [{ count: 3, delta: 1024 }, { count: 2, delta: 512 }],
+    sampleToChunk: [{ firstChunk: 1, samplesPerChunk: 3 }, { firstChunk: 2, samplesPerChunk: 2 }]
+  });
+  expect(Array.from(table.sampleSizes)).toEqual([10, 11, 12, 13, 14]);
+  expect(Array.from(table.chunkOffsets)).toEqual([1000, 2000]);
+});
+
+test('readSampleTable reads 64-bit chunk offsets from co64', async () => {
+  const file = mp4File(zeros(8), () => box('moov',
+    soundTrack([stts([[2, 1024]]), stsc([[1, 1]]), stsz([4, 4]), co64([2 ** 32 + 16, 2 ** 33 + 5])])
+  ));
+  const movie = await readMoov(file);
+  const table = readSampleTable(movie, getTracks(movie)[0]);
+
+  expect(Array.from(table.chunkOffsets)).toEqual([2 ** 32 + 16, 2 ** 33 + 5]);
+  expect(getSampleLocations(table, 0, 1)).toEqual([
+    { offset: 2 ** 32 + 16, size: 4 },
+    { offset: 2 ** 33 + 5, size: 4 }
+  ]);
+});
+
+test('getSampleLocations follows multiple stsc runs across chunks', () => {
+  const table = {
+    sampleToChunk: [{ firstChunk: 1, samplesPerChunk: 3 }, { firstChunk: 3, samplesPerChunk: 2 }],
+    chunkOffsets: [1000, 2000, 3000, 4000],
+    sampleSizes: Uint32Array.from([10, 11, 12, 13, 14, 15, 16, 17, 18, 19])
+  };
+
+  expect(getSampleLocations(table, 2, 8)).toEqual([
+    { offset: 1021, size: 12 },
+    { offset: 2000, size: 13 },
+    { offset: 2013, size: 14 },
+    { offset: 2027, size: 15 },
+    { offset: 3000, size: 16 },
+    { offset: 3016, size: 17 },
+    { offset: 4000, size: 18 }
+  ]);
+  expect(getSampleLocations(table, 9, 20)).toEqual([{ offset: 4018, size: 19 }]);
+});
+
+test('getSampleTime and getSampleIndexAtTime follow stts runs with different deltas', () => {
+  const table = { timescale: 1024, timeToSample: [{ count: 3, delta: 1024 }, { count: 2, delta: 512 }] };
+
+  expect(getSampleTime(table, 0)).toBe(0);
+  expect(getSampleTime(table, 4)).toBe(3.5);
+  expect(getSampleTime(table, 5)).toBe(4);
+  expect(getSampleIndexAtTime(table, 0.5)).toBe(0);
+  expect(getSampleIndexAtTime(table, 2.99)).toBe(2);
+  expect(getSampleIndexAtTime(table, 3.6)).toBe(4);
+  expect(getSampleIndexAtTime(table, 60)).toBe(4);
+  expect(getSampleIndexAtTime(table, -1)).toBe(0);
+});
+
+test('parseAudioSpecificConfig unwraps HE-AAC to its core object type', () => {
+  // SBR (5), 24 kHz core, stereo, 48 kHz extension, AAC-LC core
+  expect(parseAudioSpecificConfig(Uint8Array.from([0x2B, 0x11, 0x88]))).toEqual({
+    objectType: 2,
+    sampleRateIndex: 6,
+    sampleRate: 24000,
+    channelConfig: 2,
+    hasSbr: true
+  });
+});
+
+// Nero chapter list: version 1 adds four reserved bytes before the count
+const chpl = (chapters) => fullBox('chpl', 1, zeros(4), [chapters.length],
+  ...chapters.map(([title, seconds]) => [...u64(seconds * 1e7), title.length, ...ascii(title)])
+);
+
+test('readMp4Chapters reads the Nero chpl list', async () => {
+  const file = mp4File(zeros(8), () => box('moov',
+    soundTrack([stts([[1, 1024]]), stsc([[1, 1]]), stsz([8]), stco([48])]),
+    box('udta', chpl([['Intro', 0], ['Part Two', 600], ['Epilogue', 7200]]))
+  ));
+
+  expect(await readMp4Chapters(file)).toEqual([
+    { title: 'Intro', start: 0 },
+    { title: 'Part Two', start: 600 },
+    { title: 'Epilogue', start: 7200 }
+  ]);
+});
+
+test('readMp4Chapters prefers the QuickTime chapter track over chpl', async () => {
+  const samples = [[...u16(7), ...ascii('Opening')], [...u16(6), ...ascii('Ending')]];
+  const file = mp4File(samples.flat(), (mdatStart) => box('moov',
+    soundTrack([stts([[1, 1024]]), stsc([[1, 1]]), stsz([8]), stco([mdatStart])], { tref: box('tref', box('chap', u32(2))) }),
+    trak({
+      id: 2,
+      handler: 'text',
+      timescale: 1000,
+      duration: 12000,
+      entry: textEntry(),
+      tables: [stts([[1, 5000], [1, 7000]]), stsc([[1, 2]]), stsz(samples.map(sample => sample.length)), stco([mdatStart])]
+    }),
+    box('udta', chpl([['Ignored', 0]]))
+  ));
+
+  expect(await readMp4Chapters(file)).toEqual([
+    { title: 'Opening', start: 0 },
+    { title: 'Ending', start: 5 }
+  ]);
+});
+
+test('readMp4Chapters returns nothing for files that are not MP4', async () => {
+  expect(await readMp4Chapters(fileOf(ascii('fLaC'.padEnd(16, ' ')), 'book.flac'))).toEqual([]);
+});
@@ -0,0 +1,248 @@
+// Notes Exporter - A book's explanations, transcripts and bookmarks as Markdown, JSON or Anki CSV files
+import { findChapterIndex } from './audioBook';
+import { formatTimestamp } from './timeFormat';
+
+console.log('[notesExporter.js] Loading notes exporter');
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  anki: { label: 'Anki CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date inputs give "YYYY-MM-DD"; read them as local days
+const parseDay = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const time = new Date(year, month - 1, day).getTime();
+  return isFinite(time) ? time : null;
+};
+
+const formatRange = (start, end) => (
+  end !== undefined && end !== null && end !== start
+    ? `${formatTimestamp(start)}–${formatTimestamp(end)}`
+    : formatTimestamp(start)
+);
+
+const slugify = (text) => (text || 'book').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'book';
+
+/**
+ * Pick the explanations and bookmarks to export. Explanations asked for from a
+ * bookmark are left to the bookmark, which carries the latest one.
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} sources - { explanations, bookmarks }
+ * @param {Object} [options] - { fromDate, toDate ("YYYY-MM-DD"), fromChapter, toChapter (indexes), includeExplanations, includeTranscripts, includeBookmarks }
+ * @returns {Object} - { explanations, bookmarks, options }, each list in timeline order
+ */
+export const collectNotes = (book, { explanations, bookmarks }, options = {}) => {
+  const {
+    fromDate = '',
+    toDate = '',
+    fromChapter = null,
+    toChapter = null,
+    includeExplanations = true,
+    includeTranscripts = true,
+    includeBookmarks = true
+  } = options;
+
+  const from = parseDay(fromDate);
+  const to = parseDay(toDate);
+  const inDates = (createdAt) => (from === null || createdAt >= from) && (to === null || createdAt < to + DAY_MS);
+
+  const chapters = book.chapters || [];
+  const rangeStart = fromChapter !== null && chapters[fromChapter] ? chapters[fromChapter].start : 0;
+  const rangeEnd = toChapter !== null && chapters[toChapter] ? chapters[toChapter].end : Infinity;
+  const inChapters = (time) => time >= rangeStart && time < rangeEnd;
+
+  const byTime = (a, b) => a.time - b.time;
+
+  return {
+    explanations: includeExplanations
+      ? explanations
+        .filter(entry => entry.source !== 'bookmark' && inDates(entry.createdAt) && inChapters(entry.start))
+        .map(entry => ({ ...entry, time: entry.start, transcription: includeTranscripts ? entry.transcription : null }))
+        .sort(byTime)
+      : [],
+    bookmarks: includeBookmarks
+      ? bookmarks
+        .filter(bookmark => inDates(bookmark.createdAt) && inChapters(bookmark.time))
+        .map(bookmark => ({ ...bookmark, transcript: includeTranscripts ? bookmark.transcript : null }))
+        .sort(byTime)
+      : [],
+    options: { fromDate, toDate, fromChapter, toChapter, includeExplanations, includeTranscripts, includeBookmarks }
+  };
+};
+
+// Chapter of a position, for grouping; null before the first chapter or in books without chapters
+const chapterOf = (book, time) => {
+  const index = findChapterIndex(book, time);
+  return index >= 0 ? book.chapters[index] : null;
+};
+
+const quoteBlock = (text) => text.trim().split('\n').map(line => `> ${line}`).join('\n');
+
+/**
+ * Markdown notes grouped by chapter, in timeline order
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} notes - From collectNotes
+ * @returns {string}
+ */
+export const toMarkdown = (book, notes) => {
+  const { author, narrator } = book.metadata || {};
+  const lines = [`# ${book.title}`, ''];
+  const credits = [author && `by ${author}`, narrator && `read by ${narrator}`].filter(Boolean).join(' · ');
+  if (credits) lines.push(`_${credits}_`, '');
+  lines.push(`Exported ${new Date().toLocaleString()}`, '');
+
+  const items = [
+    ...notes.explanations.map(entry => ({ type: 'explanation', time: entry.time, entry })),
+    ...notes.bookmarks.map(bookmark => ({ type: 'bookmark', time: bookmark.time, bookmark }))
+  ].sort((a, b) => a.time - b.time);
+
+  if (!items.length) {
+    lines.push('_Nothing to export for the chosen range._', '');
+    return lines.join('\n');
+  }
+
+  let currentGroup;
+  items.forEach(item => {
+    const chapter = chapterOf(book, item.time);
+    const group = chapter ? chapter.start : null;
+    if (group !== currentGroup) {
+      currentGroup = group;
+      const heading = chapter
+        ? `## ${chapter.title} (${formatTimestamp(chapter.start)})`
+        : `## ${book.chapters && book.chapters.length ? 'Before the first chapter' : 'Notes'}`;
+      lines.push(heading, '');
+    }
+
+    if (item.type === 'explanation') {
+      const { entry } = item;
+      lines.push(`### ${formatRange(entry.start, entry.end)} · Explanation`, '', entry.explanation.trim(), '');
+      if (entry.transcription) lines.push(quoteBlock(entry.transcription), '');
+    } else {
+      const { bookmark } = item;
+      lines.push(`### ${formatTimestamp(bookmark.time)} · Bookmark`, '');
+      if (bookmark.note) lines.push(bookmark.note.trim(), '');
+      if (bookmark.explanation) {
+        // Fall back to the bookmark's own time when the stored record has no range
+        const range = bookmark.explainedRange || { start: bookmark.time, end: null };
+        lines.push(`**Explanation (${formatRange(range.start, range.end)}):** ${bookmark.explanation.trim()}`, '');
+      }
+      if (bookmark.transcript) lines.push(quoteBlock(bookmark.transcript), '');
+    }
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Structured JSON of the book and its notes
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} notes - From collectNotes
+ * @returns {string}
+ */
+export const toJson = (book, notes) => {
+  const { author, narrator } = book.metadata || {};
+  const chapterTitle = (time) => {
+    const chapter = chapterOf(book, time);
+    return chapter ? chapter.title : null;
+  };
+
+  return JSON.stringify({
+    book: { id: book.id, title: book.title, author, narrator, duration: book.duration },
+    exportedAt: new Date().toISOString(),
+    filters: notes.options,
+    explanations: notes.explanations.map(entry => ({
+      start: entry.start,
+      end: entry.end,
+      chapter: entry.chapterTitle || chapterTitle(entry.start),
+      source: entry.source,
+      transcription: entry.transcription,
+      explanation: entry.explanation,
+      model: entry.model,
+      transcriptionModel: entry.transcriptionModel,
+      latencyMs: entry.latencyMs,
+      createdAt: new Date(entry.createdAt).toISOString()
+    })),
+    bookmarks: notes.bookmarks.map(bookmark => ({
+      time: bookmark.time,
+      chapter: bookmark.chapterTitle || chapterTitle(bookmark.time),
+      note: bookmark.note,
+      transcript: bookmark.transcript,
+      explanation: bookmark.explanation,
+      explainedRange: bookmark.explainedRange,
+      createdAt: new Date(bookmark.createdAt).toISOString()
+    }))
+  }, null, 2);
+};
+
+// Anki reads the fields as HTML (see the #html header below)
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .trim()
+  .replace(/\n/g, '<br>');
+
+const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * Anki-importable CSV: the passage (or bookmark note) on the front and the
+ * explanation on the back. Bookmarks without an explanation have no back and are skipped.
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} notes - From collectNotes
+ * @returns {string}
+ */
+export const toAnkiCsv = (book, notes) => {
+  const bookTag = slugify(book.title);
+  const rows = [];
+
+  const addCard = (time, end, front, back) => {
+    const chapter = chapterOf(book, time);
+    const where = `${book.title}${chapter ? ` — ${chapter.title}` : ''} (${formatRange(time, end)})`;
+    const tags = [bookTag, chapter && `${bookTag}::${slugify(chapter.title)}`].filter(Boolean).join(' ');
+    rows.push([`${escapeHtml(front)}<br><br><small>${escapeHtml(where)}</small>`, escapeHtml(back), tags].map(csvField).join(','));
+  };
+
+  notes.explanations.forEach(entry => {
+    addCard(entry.start, entry.end, entry.transcription || 'What is happening in this passage?', entry.explanation);
+  });
+  notes.bookmarks
+    .filter(bookmark => bookmark.explanation)
+    .forEach(bookmark => {
+      const front = [bookmark.note, bookmark.transcript].filter(Boolean).join('\n\n') || 'What is happening at this bookmark?';
+      addCard(bookmark.time, null, front, bookmark.explanation);
+    });
+
+  return ['#separator:comma', '#html:true', '#columns:Front,Back,Tags', '#tags column:3', ...rows].join('\n') + '\n';
+};
+
+/**
+ * Build the export and download it as a file, the same way as the debug logs
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} notes - From collectNotes
+ * @param {string} format - A key of EXPORT_FORMATS
+ */
+export const downloadNotes = (book, notes, format) => {
+  const builders = { markdown: toMarkdown, json: toJson, anki: toAnkiCsv };
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const content = builders[format](book, notes);
+
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${slugify(book.title)}-notes.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  console.log('[notesExporter.js] Exported', format, {
+    explanations: notes.explanations.length,
+    bookmarks: notes.bookmarks.length
+  });
+};
@@ -0,0 +1,255 @@
+import { collectNotes, toMarkdown, toJson, toAnkiCsv } from './notesExporter';
+
+const EXPORTED_AT = new Date('2026-03-02T09:30:00Z');
+const day = (text) => new Date(`${text}T12:00:00`).getTime();
+
+const book = {
+  id: 'book:1',
+  title: 'The Long Way, Home',
+  duration: 7200,
+  metadata: { author: 'A. Writer', narrator: 'N. Reader' },
+  chapters: [
+    { title: 'Departure', start: 60, end: 1800 },
+    { title: 'Arrival', start: 1800, end: 7200 }
+  ]
+};
+
+// Records as explanationHistory and bookmarks store them
+const explanations = [
+  {
+    id: 'e1',
+    bookId: 'book:1',
+    bookTitle: 'The Long Way, Home',
+    chapterTitle: 'Arrival',
+    start: 1900,
+    end: 1930,
+    source: 'range',
+    transcription: 'She said, "we\'re home."\nThen silence.',
+    explanation: 'The narrator returns <home> & rests.',
+    transcriptionModel: 'whisper-1',
+    model: 'gpt-3.5-turbo',
+    latencyMs: { transcription: 900, explanation: 300, total: 1200 },
+    createdAt: day('2026-03-01')
+  },
+  {
+    id: 'e2',
+    bookId: 'book:1',
+    bookTitle: 'The Long Way, Home',
+    chapterTitle: null,
+    start: 30,
+    end: 45,
+    source: 'window',
+    transcription: 'Prologue line',
+    explanation: 'Setting the scene.',
+    transcriptionModel: 'whisper-1',
+    model: 'gpt-3.5-turbo',
+    latencyMs: { transcription: 500, explanation: 300, total: 800 },
+    createdAt: day('2026-02-20')
+  },
+  {
+    id: 'e3',
+    bookId: 'book:1',
+    bookTitle: 'The Long Way, Home',
+    chapterTitle: 'Departure',
+    start: 200,
+    end: 230,
+    source: 'bookmark',
+    transcription: 'Carried by the bookmark',
+    explanation: 'Left to the bookmark.',
+    transcriptionModel: 'whisper-1',
+    model: 'gpt-3.5-turbo',
+    latencyMs: { transcription: 400, explanation: 200, total: 600 },
+    createdAt: day('2026-03-01')
+  }
+];
+
+const bookmarks = [
+  {
+    id: 'b1',
+    bookId: 'book:1',
+    time: 200,
+    chapterTitle: 'Departure',
+    note: 'Key moment, remember',
+    createdAt: day('2026-03-01'),
+    updatedAt: day('2026-03-01'),
+    transcript: 'The road, at last.',
+    explanation: 'Leaving home.',
+    explainedRange: { start: 200, end: 230 }
+  },
+  {
+    id: 'b2',
+    bookId: 'book:1',
+    time: 3700,
+    chapterTitle: 'Arrival',
+    note: 'Plain bookmark',
+    createdAt: day('2026-03-01'),
+    updatedAt: day('2026-03-01'),
+    transcript: null,
+    explanation: null,
+    explainedRange: null
+  }
+];
+
+const notesOf = (options) => collectNotes(book, { explanations, bookmarks }, options);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(EXPORTED_AT);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('collectNotes orders notes by time and leaves bookmark explanations to the bookmark', () => {
+  const notes = notesOf();
+
+  expect(notes.explanations.map(entry => entry.time)).toEqual([30, 1900]);
+  expect(notes.bookmarks.map(bookmark => bookmark.id)).toEqual(['b1', 'b2']);
+});
+
+test('collectNotes filters by date, chapter and content', () => {
+  expect(notesOf({ fromDate: '2026-03-01' }).explanations.map(entry => entry.time)).toEqual([1900]);
+  expect(notesOf({ toDate: '2026-02-20' }).explanations.map(entry => entry.time)).toEqual([30]);
+  expect(notesOf({ toDate: '2026-02-20' }).bookmarks).toEqual([]);
+
+  const firstChapter = notesOf({ fromChapter: 0, toChapter: 0 });
+  expect(firstChapter.explanations).toEqual([]);
+  expect(firstChapter.bookmarks.map(bookmark => bookmark.id)).toEqual(['b1']);
+
+  const withoutTranscripts = notesOf({ includeTranscripts: false, includeBookmarks: false });
+  expect(withoutTranscripts.explanations.map(entry => entry.transcription)).toEqual([null, null]);
+  expect(withoutTranscripts.bookmarks).toEqual([]);
+});
+
+test('toMarkdown groups notes under their chapter headings', () => {
+  expect(toMarkdown(book, notesOf())).toBe([
+    '# The Long Way, Home',
+    '',
+    '_by A. Writer · read by N. Reader_',
+    '',
+    `Exported ${EXPORTED_AT.toLocaleString()}`,
+    '',
+    '## Before the first chapter',
+    '',
+    '### 0:30–0:45 · Explanation',
+    '',
+    'Setting the scene.',
+    '',
+    '> Prologue line',
+    '',
+    '## Departure (1:00)',
+    '',
+    '### 3:20 · Bookmark',
+    '',
+    'Key moment, remember',
+    '',
+    '**Explanation (3:20–3:50):** Leaving home.',
+    '',
+    '> The road, at last.',
+    '',
+    '## Arrival (30:00)',
+    '',
+    '### 31:40–32:10 · Explanation',
+    '',
+    'The narrator returns <home> & rests.',
+    '',
+    '> She said, "we\'re home."',
+    '> Then silence.',
+    '',
+    '### 1:01:40 · Bookmark',
+    '',
+    'Plain bookmark',
+    ''
+  ].join('\n'));
+});
+
+test('toMarkdown says when there is nothing to export', () => {
+  const markdown = toMarkdown({ ...book, metadata: {} }, notesOf({ fromDate: '2027-01-01' }));
+
+  expect(markdown).toBe(`# The Long Way, Home\n\nExported ${EXPORTED_AT.toLocaleString()}\n\n_Nothing to export for the chosen range._\n`);
+});
+
+test('toMarkdown places a bookmark explanation without a range at the bookmark', () => {
+  const unranged = { ...bookmarks[0], explainedRange: null };
+  const markdown = toMarkdown(book, collectNotes(book, { explanations: [], bookmarks: [unranged] }));
+
+  expect(markdown).toContain('**Explanation (3:20):** Leaving home.\n');
+});
+
+test('toJson writes the book, filters and each note with its chapter', () => {
+  expect(JSON.parse(toJson(book, notesOf({ includeTranscripts: false })))).toEqual({
+    book: { id: 'book:1', title: 'The Long Way, Home', author: 'A. Writer', narrator: 'N. Reader', duration: 7200 },
+    exportedAt: '2026-03-02T09:30:00.000Z',
+    filters: {
+      fromDate: '',
+      toDate: '',
+      fromChapter: null,
+      toChapter: null,
+      includeExplanations: true,
+      includeTranscripts: false,
+      includeBookmarks: true
+    },
+    explanations: [
+      {
+        start: 30,
+        end: 45,
+        chapter: null,
+        source: 'window',
+        transcription: null,
+        explanation: 'Setting the scene.',
+        model: 'gpt-3.5-turbo',
+        transcriptionModel: 'whisper-1',
+        latencyMs: { transcription: 500, explanation: 300, total: 800 },
+        createdAt: new Date(day('2026-02-20')).toISOString()
+      },
+      {
+        start: 1900,
+        end: 1930,
+        chapter: 'Arrival',
+        source: 'range',
+        transcription: null,
+        explanation: 'The narrator returns <home> & rests.',
+        model: 'gpt-3.5-turbo',
+        transcriptionModel: 'whisper-1',
+        latencyMs: { transcription: 900, explanation: 300, total: 1200 },
+        createdAt: new Date(day('2026-03-01')).toISOString()
+      }
+    ],
+    bookmarks: [
+      {
+        time: 200,
+        chapter: 'Departure',
+        note: 'Key moment, remember',
+        transcript: null,
+        explanation: 'Leaving home.',
+        explainedRange: { start: 200, end: 230 },
+        createdAt: new Date(day('2026-03-01')).toISOString()
+      },
+      {
+        time: 3700,
+        chapter: 'Arrival',
+        note: 'Plain bookmark',
+        transcript: null,
+        explanation: null,
+        explainedRange: null,
+        createdAt: new Date(day('2026-03-01')).toISOString()
+      }
+    ]
+  });
+});
+
+test('toAnkiCsv escapes quotes, commas, newlines and HTML and skips bookmarks without an explanation', () => {
+  expect(toAnkiCsv(book, notesOf())).toBe([
+    '#separator:comma',
+    '#html:true',
+    '#columns:Front,Back,Tags',
+    '#tags column:3',
+    '"Prologue line<br><br><small>The Long Way, Home (0:30–0:45)</small>","Setting the scene.","the-long-way-home"',
+    '"She said, ""we\'re home.""<br>Then silence.<br><br><small>The Long Way, Home — Arrival (31:40–32:10)</small>",'
+      + '"The narrator returns &lt;home&gt; &amp; rests.","the-long-way-home the-long-way-home::arrival"',
+    '"Key moment, remember<br><br>The road, at last.<br><br><small>The Long Way, Home — Departure (3:20)</small>",'
+      + '"Leaving home.","the-long-way-home the-long-way-home::departure"',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,169 @@
+import { parseMp3FrameHeader, findMp3Frame, decodeRange, getRangeDecodableDuration } from './rangeDecoder';
+import {
+  u16,
+  u32,
+  u16le,
+  u32le,
+  ascii,
+  zeros,
+  fileOf,
+  mp3Frame,
+  mp3Frames,
+  MP3_FRAME_HEADERS,
+  MP3_SECONDS_PER_FRAME
+} from './byteFixtures';
+
+// The first frame holds the VBR tag, 32 bytes of side information after its header
+const taggedFrame = (tag) => {
+  const frame = mp3Frame(0);
+  frame.splice(36, tag.length, ...tag);
+  return frame;
+};
+
+const xingFrame = (totalFrames, tag = 'Xing') => taggedFrame([...ascii(tag), ...u32(0x01), ...u32(totalFrames)]);
+const vbriFrame = (totalFrames) => taggedFrame([...ascii('VBRI'), ...u16(1), ...u16(0), ...u16(75), ...u32(0), ...u32(totalFrames)]);
+
+const fakeBuffer = (length, sampleRate, numberOfChannels = 1) => {
+  const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  return { length, sampleRate, numberOfChannels, duration: length / sampleRate, getChannelData: (c) => channels[c] };
+};
+
+// Stands in for an OfflineAudioContext: records what it was asked to decode
+const fakeContext = (sampleRate, lengthFor) => {
+  const context = {
+    decoded: [],
+    decodeAudioData: (data, resolve) => {
+      context.decoded.push(new Uint8Array(data));
+      resolve(fakeBuffer(lengthFor(data.byteLength), sampleRate));
+    },
+    createBuffer: (numberOfChannels, length, rate) => fakeBuffer(length, rate, numberOfChannels)
+  };
+  return context;
+};
+
+test('parseMp3FrameHeader reads MPEG-1 and MPEG-2 layer III headers', () => {
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xFB, 0x94, 0x64]), 0)).toEqual({
+    version: 1,
+    layer: 3,
+    bitrate: 128000,
+    sampleRate: 48000,
+    samplesPerFrame: 1152,
+    frameLength: 384,
+    channelMode: 1
+  });
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xF3, 0x82, 0xC4]), 0)).toEqual({
+    version: 2,
+    layer: 3,
+    bitrate: 64000,
+    sampleRate: 22050,
+    samplesPerFrame: 576,
+    frameLength: 209,
+    channelMode: 3
+  });
+});
+
+test('parseMp3FrameHeader rejects free-format, reserved and ADTS headers', () => {
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xFB, 0x04, 0x64]), 0)).toBeNull();
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xFB, 0xF4, 0x64]), 0)).toBeNull();
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xFB, 0x9C, 0x64]), 0)).toBeNull();
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xEB, 0x94, 0x64]), 0)).toBeNull();
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xF1, 0x50, 0x80]), 0)).toBeNull();
+  expect(parseMp3FrameHeader(Uint8Array.from([0xFF, 0xFB, 0x94]), 0)).toBeNull();
+});
+
+test('findMp3Frame skips junk and sync words that no second frame confirms', () => {
+  const bytes = Uint8Array.from([...ascii('junk'), 0xFF, 0xFB, 0x94, 0x64, ...zeros(10), ...mp3Frames(2)]);
+  const found = findMp3Frame(bytes, 0);
+
+  expect(found.offset).toBe(18);
+  expect(found.header.frameLength).toBe(384);
+  expect(findMp3Frame(Uint8Array.from(zeros(64)), 0)).toBeNull();
+});
+
+test('getRangeDecodableDuration counts CBR frames between the ID3v2 and ID3v1 tags', async () => {
+  const id3v2 = [...ascii('ID3'), 4, 0, 0, 0, 0, 0, 30, ...zeros(30)];
+  const id3v1 = [...ascii('TAG'), ...zeros(125)];
+  const duration = await getRangeDecodableDuration(fileOf([...id3v2, ...mp3Frames(100), ...id3v1]));
+
+  expect(duration).toBeCloseTo(100 * MP3_SECONDS_PER_FRAME, 6);
+});
+
+test('getRangeDecodableDuration trusts the frame count in Xing and VBRI headers', async () => {
+  expect(await getRangeDecodableDuration(fileOf([...xingFrame(1000), ...mp3Frames(10)]))).toBeCloseTo(24, 6);
+  expect(await getRangeDecodableDuration(fileOf([...xingFrame(250, 'Info'), ...mp3Frames(10)]))).toBeCloseTo(6, 6);
+  expect(await getRangeDecodableDuration(fileOf([...vbriFrame(500), ...mp3Frames(10)]))).toBeCloseTo(12, 6);
+});
+
+test('getRangeDecodableDuration is null for formats without range decoding', async () => {
+  expect(await getRangeDecodableDuration(fileOf([...ascii('fLaC'), ...zeros(60)]))).toBeNull();
+});
+
+test('decodeRange reads only the CBR frames around the range, with pre-roll', async () => {
+  const file = fileOf(mp3Frames(200));
+  const context = fakeContext(48000, byteLength => byteLength / 384 * 1152);
+
+  const buffer = await decodeRange(file, 1, 2, context);
+
+  // 0.5 s of pre-roll before 1 s starts at frame 20; one frame past 2 s ends before frame 85
+  const [data] = context.decoded;
+  expect(data.length).toBe((85 - 20) * 384);
+  expect(data[4]).toBe(20);
+  expect(data[data.length - 384 + 4]).toBe(84);
+  expect(buffer.length).toBe(48000);
+});
+
+test('MP3s with junk before the first frame are range decoded like formatDetector accepts them', async () => {
+  const junk = [...ascii('cut from a longer stream'), 0xFF, 0xFB, 0x94, 0x64, ...zeros(300)];
+  const file = fileOf([...junk, ...mp3Frames(200)]);
+
+  expect(await getRangeDecodableDuration(file)).toBeCloseTo(200 * MP3_SECONDS_PER_FRAME, 6);
+
+  const context = fakeContext(48000, byteLength => byteLength / 384 * 1152);
+  await decodeRange(file, 1, 2, context);
+
+  const [data] = context.decoded;
+  expect(data.length).toBe((85 - 20) * 384);
+  expect(Array.from(data.subarray(0, 5))).toEqual([...MP3_FRAME_HEADERS[384], 20]);
+});
+
+test('decodeRange seeks VBR files through a frame index', async () => {
+  const sizeOf = (i) => (i % 3 === 0 ? 480 : 384);
+  const file = fileOf([...xingFrame(200), ...mp3Frames(200, sizeOf)]);
+  const context = fakeContext(48000, byteLength => Math.round(byteLength / 400) * 1152);
+
+  await decodeRange(file, 1, 1.5, context);
+
+  let expectedLength = 0;
+  for (let i = 20; i < 64; i++) expectedLength += sizeOf(i);
+
+  const [data] = context.decoded;
+  expect(data.length).toBe(expectedLength);
+  expect(data[4]).toBe(20);
+  expect(Array.from(data.subarray(0, 4))).toEqual(MP3_FRAME_HEADERS[sizeOf(20)]);
+});
+
+test('decodeRange cuts WAV ranges into a new file that keeps the fmt chunk', async () => {
+  // 8 kHz mono 16-bit, an odd-sized chunk before the data, 1 s of PCM
+  const fmt = [...ascii('fmt '), ...u32le(16), ...u16le(1), ...u16le(1), ...u32le(8000), ...u32le(16000), ...u16le(2), ...u16le(16)];
+  const list = [...ascii('LIST'), ...u32le(3), 1, 2, 3, 0];
+  const pcm = Array.from({ length: 16000 }, (_, i) => (i >> 1) & 0x7F);
+  const file = fileOf([...ascii('RIFF'), ...u32le(4 + fmt.length + list.length + 8 + pcm.length), ...ascii('WAVE'), ...fmt, ...list, ...ascii('data'), ...u32le(pcm.length), ...pcm]);
+
+  expect(await getRangeDecodableDuration(file)).toBe(1);
+
+  const context = fakeContext(8000, byteLength => (byteLength - 44) / 2);
+  const buffer = await decodeRange(file, 0.25, 0.5, context);
+
+  const [data] = context.decoded;
+  expect(data.length).toBe(44 + 4000);
+  expect(String.fromCharCode(...data.subarray(0, 4), ...data.subarray(8, 16))).toBe('RIFFWAVEfmt ');
+  expect(Array.from(data.subarray(12, 36))).toEqual(fmt);
+  expect(String.fromCharCode(...data.subarray(36, 40))).toBe('data');
+  expect(Array.from(data.subarray(44))).toEqual(pcm.slice(4000, 8000));
+  expect(buffer.length).toBe(2000);
+});
+
+test('decodeRange rejects ranges outside the audio', async () => {
+  const context = fakeContext(48000, () => 0);
+  await expect(decodeRange(fileOf(mp3Frames(100)), 10, 11, context)).rejects.toThrow('Requested range is outside the audio');
+});
@@ -0,0 +1,43 @@
+// Resume Position - Remembers where each book was left so it reopens at the same place
+import { getBookSetting, setBookSetting } from './settingsService';
+
+console.log('[resumePosition.js] Loading resume position service');
+
+// How often the position is saved while playing
+export const POSITION_SAVE_INTERVAL_MS = 5000;
+
+// A book left this close to the end was finished, so it reopens from the start
+const FINISHED_MARGIN_SECONDS = 15;
+
+/**
+ * Save the playback position of a book. localStorage is synchronous, so this
+ * is safe to call from pagehide and visibilitychange handlers.
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} time - Position in book seconds
+ */
+export const savePosition = (book, time) => {
+  if (!book || !isFinite(time) || time < 0) return;
+  setBookSetting(book.id, 'position', { time: Math.round(time * 10) / 10, savedAt: Date.now() });
+};
+
+/**
+ * Where to start a reopened book
+ * @param {Object} book - Book from createAudioBook
+ * @param {number} [rewindSeconds] - Jump back this far for context
+ * @returns {number} - Position in book seconds; 0 for new or finished books
+ */
+export const getResumePosition = (book, rewindSeconds = 0) => {
+  const saved = getBookSetting(book.id, 'position', null);
+  if (!saved || !isFinite(saved.time) || saved.time <= 0) {
+    return 0;
+  }
+
+  if (book.duration && saved.time >= book.duration - FINISHED_MARGIN_SECONDS) {
+    console.log('[resumePosition.js] Book was finished, starting over:', book.title);
+    return 0;
+  }
+
+  const position = Math.max(0, saved.time - rewindSeconds);
+  console.log('[resumePosition.js] Resuming', book.title, 'at', position, `(saved ${saved.time}, rewind ${rewindSeconds}s)`);
+  return position;
+};
@@ -0,0 +1,69 @@
+// Settings Service - Persists user preferences in localStorage
+console.log('[settingsService.js] Loading settings service');
+
+const STORAGE_PREFIX = 'audiobook_setting_';
+
+/**
+ * Read a persisted user setting
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Value returned when nothing is stored or storage is unavailable
+ * @returns {*} - The stored value or the default
+ */
+export const getSetting = (key, defaultValue = null) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    if (raw === null) {
+      return defaultValue;
+    }
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`[settingsService.js] Could not read setting "${key}":`, error);
+    return defaultValue;
+  }
+};
+
+/**
+ * Persist a user setting
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serialisable value
+ */
+export const setSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    // Private browsing on iOS can throw QuotaExceededError on every write
+    console.warn(`[settingsService.js] Could not save setting "${key}":`, error);
+  }
+};
+
+/**
+ * Stable identifier for a book file, used to key per-book settings
+ * @param {File} file - The audiobook file
+ * @returns {string}
+ */
+export const getBookId = (file) => {
+  return `${file.name}:${file.size}:${file.lastModified || 0}`;
+};
+
+/**
+ * Read a setting stored for a single book
+ * @param {string} bookId - Identifier from getBookId
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Value returned when the book has no stored value
+ * @returns {*}
+ */
+export const getBookSetting = (bookId, key, defaultValue = null) => {
+  const settings = getSetting(`book_${bookId}`, {});
+  return key in settings ? settings[key] : defaultValue;
+};
+
+/**
+ * Persist a setting for a single book
+ * @param {string} bookId - Identifier from getBookId
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serialisable value
+ */
+export const setBookSetting = (bookId, key, value) => {
+  const settings = getSetting(`book_${bookId}`, {});
+  setSetting(`book_${bookId}`, { ...settings, [key]: value });
+};
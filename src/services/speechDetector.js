@@ -0,0 +1,130 @@
+// Speech Detector - Energy based voice activity detection for explain clips
+console.log('[speechDetector.js] Loading speech detector');
+
+// Analysis frame length; 20 ms is the usual VAD frame
+const FRAME_SECONDS = 0.02;
+
+// Anything quieter than this is silence regardless of the book's noise floor
+const ABSOLUTE_SILENCE_DB = -55;
+
+// Speech has to stand this far above the noise floor...
+const SPEECH_ABOVE_FLOOR_DB = 12;
+
+// ...but anything this loud counts, so dense speech with no pauses is not mistaken for the floor
+const ALWAYS_LOUD_ENOUGH_DB = -30;
+
+// Speech rises and falls with syllables; steady music or hum barely moves
+const MODULATION_WINDOW_SECONDS = 0.5;
+const MIN_MODULATION_DB = 8;
+
+// Bridge pauses between words and ignore clicks shorter than this
+const HANGOVER_SECONDS = 0.3;
+const MIN_SPEECH_SECONDS = 0.3;
+
+/**
+ * RMS level of a block of samples in dBFS
+ * @param {Float32Array} samples - PCM samples
+ * @param {number} [start] - First sample
+ * @param {number} [end] - Last sample (exclusive)
+ * @returns {number} - Level in dBFS (-Infinity for digital silence)
+ */
+export const measureLevelDb = (samples, start = 0, end = samples.length) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  const count = Math.max(1, end - start);
+  return 10 * Math.log10(sum / count);
+};
+
+// Level of every analysis frame in dBFS
+const measureFrameLevels = (samples, frameSize) => {
+  const frameCount = Math.floor(samples.length / frameSize);
+  const levels = new Float32Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    levels[f] = Math.max(-100, measureLevelDb(samples, f * frameSize, (f + 1) * frameSize));
+  }
+  return levels;
+};
+
+/**
+ * Estimate a noise floor as a low percentile of observed levels
+ * @param {ArrayLike<number>} levels - Levels in dBFS
+ * @param {number} [percentile] - 0..1, defaults to the 10th percentile
+ * @returns {number|null} - Noise floor in dBFS, or null with no data
+ */
+export const estimateNoiseFloor = (levels, percentile = 0.1) => {
+  const finite = Array.from(levels).filter(level => isFinite(level) && level > -100);
+  if (!finite.length) return null;
+  finite.sort((a, b) => a - b);
+  return finite[Math.floor((finite.length - 1) * percentile)];
+};
+
+/**
+ * Find where speech starts and ends in a clip
+ * @param {Float32Array} samples - Mono PCM
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number|null} [options.noiseFloorDb] - Noise floor measured on the book while it played; estimated from the clip when omitted
+ * @returns {Object} - { hasSpeech, speechStart, speechEnd, speechSeconds, speechRatio, thresholdDb } with times in seconds from the clip start
+ */
+export const detectSpeech = (samples, sampleRate, { noiseFloorDb = null } = {}) => {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  const levels = measureFrameLevels(samples, frameSize);
+  const frameCount = levels.length;
+
+  const clipFloor = estimateNoiseFloor(levels);
+  const floor = noiseFloorDb !== null && clipFloor !== null
+    ? Math.min(noiseFloorDb, clipFloor)
+    : (noiseFloorDb !== null ? noiseFloorDb : clipFloor);
+  const relativeThreshold = (floor === null ? -100 : floor) + SPEECH_ABOVE_FLOOR_DB;
+  const thresholdDb = Math.max(ABSOLUTE_SILENCE_DB, Math.min(ALWAYS_LOUD_ENOUGH_DB, relativeThreshold));
+
+  // A frame is speech when it is loud enough and its neighbourhood is modulated like syllables
+  const halfWindow = Math.max(1, Math.round(MODULATION_WINDOW_SECONDS / FRAME_SECONDS / 2));
+  const active = new Uint8Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    if (levels[f] < thresholdDb) continue;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let n = Math.max(0, f - halfWindow); n <= Math.min(frameCount - 1, f + halfWindow); n++) {
+      if (levels[n] < min) min = levels[n];
+      if (levels[n] > max) max = levels[n];
+    }
+    active[f] = max - min >= MIN_MODULATION_DB ? 1 : 0;
+  }
+
+  // Hangover: fill short gaps between active frames
+  const hangoverFrames = Math.round(HANGOVER_SECONDS / FRAME_SECONDS);
+  let lastActive = -Infinity;
+  for (let f = 0; f < frameCount; f++) {
+    if (!active[f]) continue;
+    if (f - lastActive > 1 && f - lastActive <= hangoverFrames) {
+      active.fill(1, lastActive + 1, f);
+    }
+    lastActive = f;
+  }
+
+  let first = -1;
+  let last = -1;
+  let speechFrames = 0;
+  for (let f = 0; f < frameCount; f++) {
+    if (!active[f]) continue;
+    if (first < 0) first = f;
+    last = f;
+    speechFrames++;
+  }
+
+  const speechSeconds = speechFrames * FRAME_SECONDS;
+  const hasSpeech = speechSeconds >= MIN_SPEECH_SECONDS;
+
+  return {
+    hasSpeech,
+    speechStart: hasSpeech ? first * FRAME_SECONDS : 0,
+    speechEnd: hasSpeech ? (last + 1) * FRAME_SECONDS : 0,
+    speechSeconds,
+    speechRatio: frameCount ? speechFrames / frameCount : 0,
+    thresholdDb
+  };
+};
@@ -0,0 +1,103 @@
+import { detectSpeech, estimateNoiseFloor, measureLevelDb } from './speechDetector';
+
+const SAMPLE_RATE = 8000;
+
+// 200 Hz fits a whole number of cycles in every 20 ms analysis frame, so frame levels are exact
+const tone = (seconds, amplitude = 0.3) => Float32Array.from(
+  { length: Math.round(seconds * SAMPLE_RATE) },
+  (_, i) => amplitude * Math.sin(2 * Math.PI * 200 * i / SAMPLE_RATE)
+);
+const silence = (seconds) => new Float32Array(Math.round(seconds * SAMPLE_RATE));
+
+const join = (...parts) => {
+  const samples = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    samples.set(part, offset);
+    offset += part.length;
+  });
+  return samples;
+};
+
+// Syllable-like bursts: 100 ms of tone, 100 ms of silence
+const syllables = (count, amplitude) => join(...Array.from({ length: count }, () => join(tone(0.1, amplitude), silence(0.1))));
+
+test('measureLevelDb gives the RMS level in dBFS', () => {
+  expect(measureLevelDb(tone(0.1, 0.5))).toBeCloseTo(20 * Math.log10(0.5 / Math.SQRT2), 3);
+  expect(measureLevelDb(silence(0.1))).toBe(-Infinity);
+  expect(measureLevelDb(join(silence(0.1), tone(0.1, 0.5)), 800)).toBeCloseTo(-9.03, 2);
+});
+
+test('estimateNoiseFloor takes a low percentile and ignores silent readings', () => {
+  const levels = [-20, -60, -Infinity, -45, -100, -30, -50, -25, -35, -40, -55];
+
+  expect(estimateNoiseFloor(levels)).toBe(-60);
+  expect(estimateNoiseFloor(levels, 0.5)).toBe(-40);
+  expect(estimateNoiseFloor([-Infinity, -100])).toBeNull();
+  expect(estimateNoiseFloor([])).toBeNull();
+});
+
+test('detectSpeech finds nothing in digital silence or faint noise', () => {
+  expect(detectSpeech(silence(3), SAMPLE_RATE)).toEqual({
+    hasSpeech: false,
+    speechStart: 0,
+    speechEnd: 0,
+    speechSeconds: 0,
+    speechRatio: 0,
+    thresholdDb: -55
+  });
+
+  const faint = join(syllables(5, 0.001), silence(1));
+  expect(detectSpeech(faint, SAMPLE_RATE).hasSpeech).toBe(false);
+});
+
+test('detectSpeech ignores a loud steady tone that never modulates', () => {
+  const result = detectSpeech(tone(3), SAMPLE_RATE);
+
+  expect(result.hasSpeech).toBe(false);
+  expect(result.speechSeconds).toBe(0);
+});
+
+test('detectSpeech finds the start and end of modulated bursts between silences', () => {
+  const clip = join(silence(1), syllables(5, 0.3), silence(1));
+  const result = detectSpeech(clip, SAMPLE_RATE);
+
+  // The last burst ends at 1.9 s; the 100 ms gaps are bridged by the hangover
+  expect(result.hasSpeech).toBe(true);
+  expect(result.speechStart).toBeCloseTo(1, 6);
+  expect(result.speechEnd).toBeCloseTo(1.9, 6);
+  expect(result.speechSeconds).toBeCloseTo(0.9, 6);
+  expect(result.speechRatio).toBeCloseTo(0.9 / 3, 6);
+});
+
+test('detectSpeech does not bridge pauses longer than the hangover', () => {
+  const clip = join(silence(0.5), syllables(3, 0.3), silence(0.5), syllables(3, 0.3), silence(0.5));
+  const result = detectSpeech(clip, SAMPLE_RATE);
+
+  // Two runs of 0.5 s each; the 0.6 s pause between them stays out
+  expect(result.speechStart).toBeCloseTo(0.5, 6);
+  expect(result.speechEnd).toBeCloseTo(2.1, 6);
+  expect(result.speechSeconds).toBeCloseTo(1, 6);
+});
+
+test('detectSpeech drops clicks shorter than the minimum speech length', () => {
+  const clip = join(silence(1), tone(0.2), silence(1));
+  const result = detectSpeech(clip, SAMPLE_RATE);
+
+  expect(result.hasSpeech).toBe(false);
+  expect(result.speechSeconds).toBeCloseTo(0.2, 6);
+});
+
+test('detectSpeech lets a quieter book noise floor lower the threshold', () => {
+  // Quiet narration at about -43 dBFS over a clip whose own floor is set by the narration itself
+  const clip = join(syllables(10, 0.01), silence(0.5));
+
+  expect(detectSpeech(clip, SAMPLE_RATE).thresholdDb).toBeCloseTo(-31, 0);
+  expect(detectSpeech(clip, SAMPLE_RATE).hasSpeech).toBe(false);
+
+  const withFloor = detectSpeech(clip, SAMPLE_RATE, { noiseFloorDb: -65 });
+  expect(withFloor.thresholdDb).toBe(-53);
+  expect(withFloor.hasSpeech).toBe(true);
+  expect(withFloor.speechStart).toBe(0);
+  expect(withFloor.speechEnd).toBeCloseTo(1.9, 6);
+});
@@ -0,0 +1,27 @@
+// Time Format - Book timestamps as text and back
+
+/**
+ * Format seconds as "m:ss", or "h:mm:ss" from an hour up
+ * @param {number} time - Seconds
+ * @returns {string}
+ */
+export const formatTimestamp = (time) => {
+  if (!isFinite(time) || time < 0) return '0:00';
+  const hours = Math.floor(time / 3600);
+  const minutes = Math.floor((time % 3600) / 60);
+  const seconds = Math.floor(time % 60).toString().padStart(2, '0');
+  return hours ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Parse a typed timestamp such as "1:02:03", "12:30", "90" or "75.5"
+ * @param {string} text - Timestamp text
+ * @returns {number|null} - Seconds, or null when the text is not a timestamp
+ */
+export const parseTimestamp = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!/^\d+(\.\d+)?$|^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(trimmed)) {
+    return null;
+  }
+  return trimmed.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
@@ -0,0 +1,35 @@
+import { formatTimestamp, parseTimestamp } from './timeFormat';
+
+test('parseTimestamp reads h:mm:ss, mm:ss and bare seconds', () => {
+  expect(parseTimestamp('1:02:03')).toBe(3723);
+  expect(parseTimestamp('10:00:00')).toBe(36000);
+  expect(parseTimestamp('12:30')).toBe(750);
+  expect(parseTimestamp('0:05')).toBe(5);
+  expect(parseTimestamp('1:5')).toBe(65);
+  expect(parseTimestamp('90')).toBe(90);
+  expect(parseTimestamp('4000')).toBe(4000);
+});
+
+test('parseTimestamp accepts fractional seconds and surrounding whitespace', () => {
+  expect(parseTimestamp('75.5')).toBe(75.5);
+  expect(parseTimestamp('1:02.25')).toBe(62.25);
+  expect(parseTimestamp('  2:00  ')).toBe(120);
+});
+
+test('parseTimestamp rejects text that is not a timestamp', () => {
+  ['', '   ', 'abc', '1:75', '1:2:3:4', '-5', '1:', ':30', '1.5:00', '1h2m', '12:30pm'].forEach(text => {
+    expect(parseTimestamp(text)).toBeNull();
+  });
+  expect(parseTimestamp(null)).toBeNull();
+  expect(parseTimestamp(undefined)).toBeNull();
+});
+
+test('formatTimestamp writes m:ss under an hour and h:mm:ss from an hour up', () => {
+  expect(formatTimestamp(0)).toBe('0:00');
+  expect(formatTimestamp(65.9)).toBe('1:05');
+  expect(formatTimestamp(3599)).toBe('59:59');
+  expect(formatTimestamp(3723)).toBe('1:02:03');
+  expect(formatTimestamp(-1)).toBe('0:00');
+  expect(formatTimestamp(NaN)).toBe('0:00');
+  expect(parseTimestamp(formatTimestamp(3723))).toBe(3723);
+});
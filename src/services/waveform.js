@@ -0,0 +1,218 @@
+// Waveform - Downsampled loudness overview of a whole book for the scrubber, cached per book. Decoding runs on
+// the main thread; only the downmix and level maths are handed to a worker.
+import { findPartIndex } from './audioBook';
+import { openDatabase, requestToPromise, transactionDone, WAVEFORMS_STORE } from './database';
+import { decodeRange, getRangeDecodableDuration } from './rangeDecoder';
+
+console.log('[waveform.js] Loading waveform service');
+
+export const WAVEFORM_BUCKETS = 400;
+
+// Long books are sampled: at most this much audio is decoded per bucket
+const SAMPLE_SECONDS = 2;
+
+// Audio is decoded at this rate: plenty for a loudness overview, and a fraction
+// of the memory a whole part takes at 44.1 kHz when it has to be decoded in full
+const DECODE_SAMPLE_RATE = 3000;
+
+// Bump when the level scale changes so stale caches are recomputed
+const CACHE_VERSION = 1;
+
+// Dynamic range shown between an empty and a full bar
+const DISPLAY_RANGE_DB = 45;
+
+// Runs inside the worker, so it must not use anything from this module (or syntax that compiles to helpers).
+// It only downmixes decoded samples and computes levels; the decoding itself happens before postMessage.
+const waveformWorker = (scope) => {
+  const levels = [];
+
+  scope.onmessage = (event) => {
+    const { type, index, channels, count, rangeDb } = event.data;
+
+    if (type === 'bucket') {
+      // Downmix and take the RMS in one pass
+      const length = channels.length ? channels[0].length : 0;
+      let sum = 0;
+      for (let i = 0; i < length; i++) {
+        let mono = 0;
+        for (let c = 0; c < channels.length; c++) {
+          mono += channels[c][i];
+        }
+        mono /= channels.length;
+        sum += mono * mono;
+      }
+      const rms = length ? Math.sqrt(sum / length) : 0;
+      levels[index] = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+      return;
+    }
+
+    if (type === 'finish') {
+      let loudest = -Infinity;
+      for (let i = 0; i < count; i++) {
+        if (levels[i] > loudest) loudest = levels[i];
+      }
+      const floor = loudest - rangeDb;
+      const normalized = [];
+      for (let i = 0; i < count; i++) {
+        const level = levels[i];
+        normalized.push(isFinite(level) && isFinite(floor)
+          ? Math.round(Math.max(0, Math.min(1, (level - floor) / rangeDb)) * 100) / 100
+          : 0);
+      }
+      scope.postMessage({ type: 'done', levels: normalized });
+    }
+  };
+};
+
+const createWorker = () => {
+  const source = `(${waveformWorker.toString()})(self);`;
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  return worker;
+};
+
+const abortError = () => {
+  const error = new Error('Waveform generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Some older Safari versions only accept the common sample rates
+const createDecodeContext = () => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  try {
+    return new OfflineContext(1, 1, DECODE_SAMPLE_RATE);
+  } catch (error) {
+    return new OfflineContext(1, 1, 44100);
+  }
+};
+
+/**
+ * Cached waveform of a book, if one has been computed
+ * @param {Object} book - Book from createAudioBook
+ * @returns {Promise<number[]|null>} - WAVEFORM_BUCKETS levels between 0 and 1
+ */
+export const getCachedWaveform = async (book) => {
+  const db = await openDatabase();
+  const cached = await requestToPromise(db.transaction(WAVEFORMS_STORE).objectStore(WAVEFORMS_STORE).get(book.id));
+  if (cached && cached.version === CACHE_VERSION && Array.isArray(cached.levels) && cached.levels.length === WAVEFORM_BUCKETS) {
+    return cached.levels;
+  }
+  return null;
+};
+
+const saveWaveform = async (book, levels) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(WAVEFORMS_STORE, 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(WAVEFORMS_STORE).put({ bookId: book.id, version: CACHE_VERSION, levels });
+  await done;
+};
+
+/**
+ * Compute the loudness overview of a book. Range-seekable formats are sampled
+ * around each bucket's centre; other formats are decoded one part at a time at
+ * a low sample rate, and each part is released before the next is decoded.
+ * Decoding needs an audio context, which workers don't have, so it stays on
+ * this thread; downmixing and the level maths run in the worker.
+ * @param {Object} book - Book from createAudioBook
+ * @param {Object} [options] - { signal } to cancel when the book changes
+ * @returns {Promise<number[]>} - WAVEFORM_BUCKETS levels between 0 and 1
+ */
+export const computeWaveform = async (book, { signal } = {}) => {
+  let cached = null;
+  try {
+    cached = await getCachedWaveform(book);
+  } catch (error) {
+    console.warn('[waveform.js] Could not read cached waveform:', error.message);
+  }
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+  if (cached) {
+    console.log('[waveform.js] Using cached waveform for', book.title);
+    return cached;
+  }
+
+  if (typeof Worker === 'undefined') {
+    throw new Error('Web Workers are not supported in this browser');
+  }
+
+  console.log('[waveform.js] Computing waveform for', book.title);
+  const startedAt = Date.now();
+  const context = createDecodeContext();
+  const worker = createWorker();
+  const bucketDuration = book.duration / WAVEFORM_BUCKETS;
+  const sampleDuration = Math.min(bucketDuration, SAMPLE_SECONDS);
+
+  // Buckets run in timeline order, so only the part being sampled is ever held in memory
+  let fullDecode = null; // { partIndex, buffer }, buffer null when the part could not be decoded
+  const decodeSample = async (partIndex, from, to) => {
+    const part = book.parts[partIndex];
+
+    if (!fullDecode || fullDecode.partIndex !== partIndex) {
+      fullDecode = null;
+      if (!(await getRangeDecodableDuration(part.file))) {
+        let buffer = null;
+        try {
+          buffer = await decodeRange(part.file, 0, part.duration, context);
+        } catch (error) {
+          console.warn('[waveform.js] Leaving part out of the waveform:', part.file.name, error.message);
+        }
+        fullDecode = { partIndex, buffer };
+      }
+    }
+
+    if (!fullDecode) {
+      const buffer = await decodeRange(part.file, from, to, context);
+      return Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    }
+
+    const full = fullDecode.buffer;
+    if (!full) {
+      return [];
+    }
+    const first = Math.floor(from * full.sampleRate);
+    const last = Math.min(full.length, Math.ceil(to * full.sampleRate));
+    return Array.from({ length: full.numberOfChannels }, (_, c) => full.getChannelData(c).subarray(first, last));
+  };
+
+  try {
+    const done = new Promise((resolve, reject) => {
+      worker.onmessage = (event) => resolve(event.data.levels);
+      worker.onerror = (event) => reject(new Error(event.message || 'Waveform worker failed'));
+    });
+
+    for (let index = 0; index < WAVEFORM_BUCKETS; index++) {
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+
+      const centre = (index + 0.5) * bucketDuration;
+      const partIndex = findPartIndex(book, centre);
+      const part = book.parts[partIndex];
+      const from = Math.max(0, centre - part.start - sampleDuration / 2);
+      const to = Math.min(part.duration, from + sampleDuration);
+
+      let channels = [];
+      if (to > from) {
+        // Copy so the worker can take ownership without detaching decoder buffers
+        channels = (await decodeSample(partIndex, from, to)).map(data => Float32Array.from(data));
+      }
+      worker.postMessage({ type: 'bucket', index, channels }, channels.map(data => data.buffer));
+    }
+    fullDecode = null;
+
+    worker.postMessage({ type: 'finish', count: WAVEFORM_BUCKETS, rangeDb: DISPLAY_RANGE_DB });
+    const levels = await done;
+
+    saveWaveform(book, levels).catch(error => {
+      console.warn('[waveform.js] Could not cache waveform:', error.message);
+    });
+    console.log('[waveform.js] Waveform ready in', Date.now() - startedAt, 'ms');
+    return levels;
+  } finally {
+    worker.terminate();
+  }
+};